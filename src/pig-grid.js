@@ -0,0 +1,299 @@
+(function (global) {
+  'use strict';
+
+  /**
+   * Define the <pig-grid> custom element, which renders grids with Pig.
+   *
+   * @param {function} Pig - The Pig class.
+   *
+   * @returns {function} The PigGrid class, or null outside of browsers.
+   */
+  function definePigGrid(Pig) {
+    // Custom elements only exist in browsers.
+    if (typeof HTMLElement === 'undefined' || typeof customElements === 'undefined') {
+      return null;
+    }
+
+    /**
+     * The attributes of <pig-grid> that map to Pig settings, all of which are
+     * numbers.
+     */
+    const ATTRIBUTE_SETTINGS = {
+      spacing: 'spaceBetweenImages',
+      'transition-speed': 'transitionSpeed',
+      'thumbnail-size': 'thumbnailSize',
+    };
+
+    /**
+     * The Pig events that <pig-grid> dispatches as DOM events, prefixed with
+     * 'pig-'.
+     */
+    const EVENTS = [
+      'thumbnailload', 'imageload', 'imageerror', 'show', 'hide', 'click',
+      'lightboxopen', 'lightboxchange', 'lightboxclose', 'selectionchange',
+      'layout', 'resize', 'zoom',
+    ];
+
+    /**
+     * The CSS of the <pig-grid> element itself. Pig adds the CSS of the grid to
+     * the shadow root.
+     */
+    const HOST_STYLE = ':host { display: block; } :host([hidden]) { display: none; }';
+
+    /**
+     * A custom element, <pig-grid>, that renders a Pig grid inside its shadow
+     * DOM. The image data comes from the `imageData` property, or else from an
+     * inline <script type="application/json"> child, or else from the JSON at
+     * the `src` attribute. Other settings come from the `options` property and
+     * from attributes. The grid is enabled while the element is connected to
+     * the document, and disabled while it isn't.
+     */
+    class PigGrid extends HTMLElement {
+
+      constructor() {
+        super();
+
+        this.attachShadow({ mode: 'open' });
+        this.container = document.createElement('div');
+        this.container.setAttribute('part', 'container');
+        this.shadowRoot.appendChild(this.container);
+
+        // The Pig instance, once there is image data.
+        this.pig = null;
+
+        this._imageData = null;
+        this._options = {};
+
+        // The image data from an inline script or the `src` attribute.
+        this.loadedImageData = null;
+
+        // Counts the times that the image data was loaded, so that a response
+        // for a `src` that has since changed is ignored. Until the element is
+        // first connected, nothing is loaded.
+        this.loadCount = 0;
+        this.hostStyleAdded = false;
+        this.onDOMContentLoaded = null;
+      }
+
+      static get observedAttributes() {
+        return ['src'].concat(Object.keys(ATTRIBUTE_SETTINGS));
+      }
+
+      /**
+       * The image data of the grid, in the same format as the `imageData`
+       * passed to the Pig constructor. Setting it creates the grid again.
+       */
+      get imageData() {
+        return this._imageData;
+      }
+
+      set imageData(imageData) {
+        this._imageData = imageData;
+        if (this.loadCount) {
+          this._load();
+        }
+      }
+
+      /**
+       * Settings to create the grid with, such as `urlForSize`. Attributes
+       * override them. Setting them creates the grid again.
+       */
+      get options() {
+        return this._options;
+      }
+
+      set options(options) {
+        this._options = options || {};
+        if (this.pig) {
+          this._create();
+        }
+      }
+
+      connectedCallback() {
+        this._addHostStyle();
+        if (this.pig) {
+          this.pig.enable();
+        } else if (!this.loadCount && !this.onDOMContentLoaded) {
+          if (document.readyState === 'loading') {
+            // The inline script may not have been parsed yet.
+            this.onDOMContentLoaded = function () {
+              this.onDOMContentLoaded = null;
+              this._load();
+            }.bind(this);
+            document.addEventListener('DOMContentLoaded', this.onDOMContentLoaded);
+          } else {
+            this._load();
+          }
+        }
+      }
+
+      disconnectedCallback() {
+        if (this.pig) {
+          this.pig.disable();
+        }
+      }
+
+      attributeChangedCallback(name, oldValue, newValue) {
+        // Attributes are read when the element is first connected.
+        if (oldValue === newValue || !this.loadCount) {
+          return;
+        }
+
+        if (name === 'src') {
+          this._load();
+        } else {
+          this._create();
+        }
+      }
+
+      /**
+       * Get the image data, from the `imageData` property, an inline JSON
+       * script, or the `src` attribute, and create the grid with it.
+       */
+      _load() {
+        const loadCount = ++this.loadCount;
+
+        if (this._imageData) {
+          this._create();
+          return;
+        }
+
+        const script = this.querySelector('script[type="application/json"]');
+        if (script) {
+          try {
+            this.loadedImageData = JSON.parse(script.textContent);
+          } catch (error) {
+            console.error('Could not parse the image data of <pig-grid>: ' + error.message);
+            return;
+          }
+
+          this._create();
+          return;
+        }
+
+        const src = this.getAttribute('src');
+        if (!src) {
+          return;
+        }
+
+        fetch(src)
+          .then(function (response) {
+            if (!response.ok) {
+              throw new Error(response.status);
+            }
+
+            return response.json();
+          })
+          .then(function (imageData) {
+            // The data changed while this was loading.
+            if (loadCount !== this.loadCount || this._imageData) {
+              return;
+            }
+
+            this.loadedImageData = imageData;
+            this._create();
+          }.bind(this))
+          .catch(function (error) {
+            console.error('Could not load image data from ' + src + ': ' + error.message);
+          });
+      }
+
+      /**
+       * Create the grid again with the current image data and settings,
+       * destroying the previous grid.
+       */
+      _create() {
+        const imageData = this._imageData || this.loadedImageData;
+        if (!imageData) {
+          return;
+        }
+
+        if (this.pig) {
+          this.pig.destroy();
+          this.pig = null;
+        }
+
+        const settings = {};
+        for (const key in this._options) {
+          if (this._options.hasOwnProperty(key)) {
+            settings[key] = this._options[key];
+          }
+        }
+
+        for (const attribute in ATTRIBUTE_SETTINGS) {
+          if (this.hasAttribute(attribute)) {
+            settings[ATTRIBUTE_SETTINGS[attribute]] = parseFloat(this.getAttribute(attribute));
+          }
+        }
+
+        settings.container = this.container;
+
+        // The container in the shadow root has no ID, so grids that restore
+        // their scroll position tell theirs apart by the ID of the element.
+        if (!settings.scrollRestorationKey && this.id) {
+          settings.scrollRestorationKey = this.id;
+        }
+
+        this.pig = new Pig(imageData, settings);
+        EVENTS.forEach(function (eventName) {
+          this.pig.on(eventName, function (detail) {
+            this.dispatchEvent(new CustomEvent('pig-' + eventName, {
+              bubbles: true,
+              composed: true,
+              detail: detail,
+            }));
+          }.bind(this));
+        }.bind(this));
+
+        if (this.isConnected) {
+          this.pig.enable();
+        }
+      }
+
+      /**
+       * Add the CSS of the element itself to its shadow root, in the same way
+       * that Pig adds the CSS of the grid.
+       */
+      _addHostStyle() {
+        const styleMode = this._options.styleMode || 'inline';
+        if (this.hostStyleAdded || styleMode === 'none') {
+          return;
+        }
+
+        this.hostStyleAdded = true;
+
+        if (styleMode === 'constructed' && 'adoptedStyleSheets' in this.shadowRoot &&
+            window.CSSStyleSheet && 'replaceSync' in window.CSSStyleSheet.prototype) {
+          const sheet = new window.CSSStyleSheet();
+          sheet.replaceSync(HOST_STYLE);
+          this.shadowRoot.adoptedStyleSheets = this.shadowRoot.adoptedStyleSheets.concat([sheet]);
+          return;
+        }
+
+        const style = document.createElement('style');
+        if (this._options.nonce) {
+          style.setAttribute('nonce', this._options.nonce);
+        }
+
+        style.appendChild(document.createTextNode(HOST_STYLE));
+        this.shadowRoot.insertBefore(style, this.shadowRoot.firstChild);
+      }
+    }
+
+    if (!customElements.get('pig-grid')) {
+      customElements.define('pig-grid', PigGrid);
+    }
+
+    return PigGrid;
+  }
+
+  // Export PigGrid into the global scope.
+  if (typeof define === 'function' && define.amd) {
+    define(['./pig'], function (pig) { return { PigGrid: definePigGrid(pig.Pig) }; });
+  } else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = definePigGrid(require('./pig'));
+  } else {
+    global.PigGrid = definePigGrid(global.Pig);
+  }
+
+}(typeof window !== 'undefined' ? window : this));
@@ -2,8 +2,9 @@
   'use strict';
 
   /**
-   * This is a manager for our resize handlers. You can add a callback, disable
-   * all resize handlers, and re-enable handlers after they have been disabled.
+   * This is a manager for our resize handlers, shared by every Pig instance on
+   * the page. You can add a callback and remove it again. The window resize
+   * listener is only attached while there is at least one callback.
    *
    * optimizedResize is adapted from Mozilla code:
    * https://developer.mozilla.org/en-US/docs/Web/Events/resize
@@ -48,77 +49,276 @@
       },
 
       /**
-       * Disables all resize handlers.
+       * Remove a callback that was added with `add`, without affecting any
+       * other callbacks.
+       *
+       * @param {function} callback - the callback to remove.
        */
-      disable: function() {
-        window.removeEventListener('resize', resize);
-      },
+      remove: function(callback) {
+        const index = callbacks.indexOf(callback);
+        if (index === -1) {
+          return;
+        }
 
-      /**
-       * Enables all resize handlers, if they were disabled.
-       */
-      reEnable: function() {
-        window.addEventListener('resize', resize);
+        callbacks.splice(index, 1);
+        if (!callbacks.length) {
+          window.removeEventListener('resize', resize);
+        }
       }
     };
   }());
 
   /**
-   * Inject CSS needed to make the grid work in the <head></head>.
+   * Gives the CSS needed to make the grid work. It only depends on the class
+   * prefix, so that every instance with the same prefix can share it. Values
+   * that can be themed are read from CSS custom properties, with defaults:
+   *
+   * - `--pig-placeholder-color`: the background of figures that are loading.
+   * - `--pig-blur`: how much thumbnails are blurred.
+   * - `--pig-easing`: the timing function of transitions.
+   * - `--pig-transition-duration`: the duration of transitions, which is set
+   *   from the `transitionSpeed` setting on the container and the lightbox.
+   *
+   * Keep `pig.css` in sync with this, for the default class prefix.
    *
-   * @param {string} containerId - ID of the container for the images.
    * @param {string} classPrefix - the prefix associated with this library that
    *                               should be prepended to classnames.
-   * @param {number} transitionSpeed - animation duration in milliseconds
+   *
+   * @returns {string} The CSS.
    */
-  function _injectStyle(containerId, classPrefix, transitionSpeed) {
-
-    const css = (
-      '#' + containerId + ' {' +
+  function _getStyle(classPrefix) {
+    return (
+      '.' + classPrefix + '-container {' +
       '  position: relative;' +
       '}' +
       '.' + classPrefix + '-figure {' +
-      '  background-color: #D5D5D5;' +
+      '  background-color: var(--pig-placeholder-color, #D5D5D5);' +
       '  overflow: hidden;' +
       '  left: 0;' +
       '  position: absolute;' +
       '  top: 0;' +
       '  margin: 0;' +
       '}' +
-      '.' + classPrefix + '-figure img {' +
+      '.' + classPrefix + '-group-header {' +
+      '  box-sizing: border-box;' +
+      '  left: 0;' +
+      '  position: absolute;' +
+      '  top: 0;' +
+      '  margin: 0;' +
+      '  z-index: 1;' +
+      '}' +
+      '.' + classPrefix + '-caption {' +
+      '  bottom: 0;' +
+      '  box-sizing: border-box;' +
+      '  left: 0;' +
+      '  margin: 0;' +
+      '  overflow: hidden;' +
+      '  position: absolute;' +
+      '  right: 0;' +
+      '}' +
+      '.' + classPrefix + '-sentinel {' +
+      '  left: 0;' +
+      '  pointer-events: none;' +
+      '  position: absolute;' +
+      '  top: 0;' +
+      '  visibility: hidden;' +
+      '  width: 1px;' +
+      '}' +
+      '.' + classPrefix + '-figure img,' +
+      '.' + classPrefix + '-figure video {' +
       '  left: 0;' +
       '  position: absolute;' +
       '  top: 0;' +
       '  height: 100%;' +
       '  width: 100%;' +
+      '  object-fit: cover;' +
       '  opacity: 0;' +
-      '  transition: ' + (transitionSpeed / 1000).toString(10) + 's ease opacity;' +
-      '  -webkit-transition: ' + (transitionSpeed / 1000).toString(10) + 's ease opacity;' +
+      '  transition: var(--pig-transition-duration, 0.5s) var(--pig-easing, ease) opacity;' +
+      '  -webkit-transition: var(--pig-transition-duration, 0.5s) var(--pig-easing, ease) opacity;' +
       '}' +
       '.' + classPrefix + '-figure img.' + classPrefix + '-thumbnail {' +
-      '  -webkit-filter: blur(30px);' +
-      '  filter: blur(30px);' +
+      '  -webkit-filter: blur(var(--pig-blur, 30px));' +
+      '  filter: blur(var(--pig-blur, 30px));' +
       '  left: auto;' +
       '  position: relative;' +
       '  width: auto;' +
       '}' +
-      '.' + classPrefix + '-figure img.' + classPrefix + '-loaded {' +
+      '.' + classPrefix + '-figure img.' + classPrefix + '-placeholder {' +
+      '  left: 0;' +
+      '  position: absolute;' +
+      '  width: 100%;' +
+      '}' +
+      '.' + classPrefix + '-figure img.' + classPrefix + '-loaded,' +
+      '.' + classPrefix + '-figure video.' + classPrefix + '-loaded {' +
+      '  opacity: 1;' +
+      '}' +
+      '.' + classPrefix + '-lightbox {' +
+      '  background-color: rgba(0, 0, 0, 0);' +
+      '  bottom: 0;' +
+      '  left: 0;' +
+      '  position: fixed;' +
+      '  right: 0;' +
+      '  top: 0;' +
+      '  z-index: 1000;' +
+      '  transition: var(--pig-transition-duration, 0.5s) var(--pig-easing, ease) background-color;' +
+      '  -webkit-transition: var(--pig-transition-duration, 0.5s) var(--pig-easing, ease) background-color;' +
+      '}' +
+      '.' + classPrefix + '-lightbox-open {' +
+      '  background-color: rgba(0, 0, 0, 0.9);' +
+      '}' +
+      '.' + classPrefix + '-lightbox-stage {' +
+      '  position: fixed;' +
+      '  transform-origin: 0 0;' +
+      '}' +
+      '.' + classPrefix + '-lightbox-stage img {' +
+      '  height: 100%;' +
+      '  left: 0;' +
+      '  position: absolute;' +
+      '  top: 0;' +
+      '  width: 100%;' +
+      '}' +
+      '.' + classPrefix + '-lightbox-image {' +
+      '  opacity: 0;' +
+      '  transition: var(--pig-transition-duration, 0.5s) var(--pig-easing, ease) opacity;' +
+      '  -webkit-transition: var(--pig-transition-duration, 0.5s) var(--pig-easing, ease) opacity;' +
+      '}' +
+      '.' + classPrefix + '-lightbox-image.' + classPrefix + '-loaded {' +
       '  opacity: 1;' +
+      '}' +
+      '.' + classPrefix + '-lightbox button {' +
+      '  background: none;' +
+      '  border: 0;' +
+      '  color: #FFF;' +
+      '  cursor: pointer;' +
+      '  font-size: 40px;' +
+      '  height: 60px;' +
+      '  position: absolute;' +
+      '  width: 60px;' +
+      '}' +
+      '.' + classPrefix + '-lightbox button:disabled {' +
+      '  visibility: hidden;' +
+      '}' +
+      '.' + classPrefix + '-lightbox-previous {' +
+      '  left: 0;' +
+      '  top: 50%;' +
+      '}' +
+      '.' + classPrefix + '-lightbox-next {' +
+      '  right: 0;' +
+      '  top: 50%;' +
+      '}' +
+      '.' + classPrefix + '-lightbox-close {' +
+      '  right: 0;' +
+      '  top: 0;' +
+      '}' +
+      '.' + classPrefix + '-lightbox-previous::before {' +
+      '  content: "\\2039";' +
+      '}' +
+      '.' + classPrefix + '-lightbox-next::before {' +
+      '  content: "\\203A";' +
+      '}' +
+      '.' + classPrefix + '-lightbox-close::before {' +
+      '  content: "\\00D7";' +
       '}'
     );
+  }
+
+  /**
+   * The styles that have been added to each document and shadow root.
+   * Instances with the same class prefix in the same document or shadow root
+   * share one, which is removed once the last of them is destroyed. This
+   * doesn't keep shadow roots that are no longer used alive.
+   */
+  const addedStyles = new WeakMap();
+
+  /**
+   * Add the CSS needed to make the grid work to a document or a shadow root,
+   * unless another instance already added it there.
+   *
+   * @param {Node} root - The document or shadow root that holds the grid.
+   * @param {string} classPrefix - the prefix associated with this library that
+   *                               should be prepended to classnames.
+   * @param {string} styleMode - 'inline' for a <style> element, or
+   *                             'constructed' for a constructed style sheet.
+   * @param {string|null} nonce - The nonce of the <style> element.
+   *
+   * @returns {object} The added style, to pass to `_removeStyle()`.
+   */
+  function _addStyle(root, classPrefix, styleMode, nonce) {
+    if (!addedStyles.has(root)) {
+      addedStyles.set(root, []);
+    }
+    const stylesOfRoot = addedStyles.get(root);
+    for (let i = 0; i < stylesOfRoot.length; i++) {
+      if (stylesOfRoot[i].classPrefix === classPrefix) {
+        stylesOfRoot[i].count++;
+        return stylesOfRoot[i];
+      }
+    }
 
-    const head = document.head || document.getElementsByTagName('head')[0];
-    const style = document.createElement('style');
+    const css = _getStyle(classPrefix);
+    const added = {
+      root: root,
+      classPrefix: classPrefix,
+      count: 1,
+      element: null,
+      sheet: null
+    };
 
-    style.type = 'text/css';
-    if (style.styleSheet) {
-      // set style for IE8 and below
-      style.styleSheet.cssText = css;
+    // Constructed style sheets aren't blocked by a Content-Security-Policy
+    // without 'unsafe-inline', but not every browser supports them.
+    if (styleMode === 'constructed' && 'adoptedStyleSheets' in root &&
+        window.CSSStyleSheet && 'replaceSync' in window.CSSStyleSheet.prototype) {
+      added.sheet = new window.CSSStyleSheet();
+      added.sheet.replaceSync(css);
+      root.adoptedStyleSheets = root.adoptedStyleSheets.concat([added.sheet]);
     } else {
-      style.appendChild(document.createTextNode(css));
+      const style = document.createElement('style');
+
+      style.type = 'text/css';
+      if (nonce) {
+        style.setAttribute('nonce', nonce);
+      }
+      if (style.styleSheet) {
+        // set style for IE8 and below
+        style.styleSheet.cssText = css;
+      } else {
+        style.appendChild(document.createTextNode(css));
+      }
+
+      if (root === document) {
+        (document.head || document.getElementsByTagName('head')[0]).appendChild(style);
+      } else {
+        root.appendChild(style);
+      }
+      added.element = style;
+    }
+
+    stylesOfRoot.push(added);
+    return added;
+  }
+
+  /**
+   * Stop using a style added by `_addStyle()`, and remove it if no other
+   * instance uses it.
+   *
+   * @param {object} added - The added style.
+   */
+  function _removeStyle(added) {
+    added.count--;
+    if (added.count > 0) {
+      return;
     }
 
-    head.appendChild(style);
+    const stylesOfRoot = addedStyles.get(added.root);
+    stylesOfRoot.splice(stylesOfRoot.indexOf(added), 1);
+    if (added.sheet) {
+      added.root.adoptedStyleSheets = added.root.adoptedStyleSheets.filter(function(sheet) {
+        return sheet !== added.sheet;
+      });
+    }
+    if (added.element && added.element.parentNode) {
+      added.element.parentNode.removeChild(added.element);
+    }
   }
 
   /**
@@ -156,735 +356,5399 @@
   }
 
   /**
-   * Creates an instance of the progressive image grid, inserting boilerplate
-   * CSS and loading image data. Instantiating an instance of the Pig class
-   * does not cause any images to appear however. After instantiating, call the
-   * `enable()` function on the returned instance:
-   *
-   *   var pig = new Pig(imageData, opts);
-   *   pig.enable();
+   * Gets the number of columns to use in layouts with columns of equal width,
+   * from the minimum aspect ratio of a row.
    *
-   * @param {array} imageData - An array of metadata about each image to
-   *                            include in the grid.
-   * @param {string} imageData[0].filename - The filename of the image.
-   * @param {string} imageData[0].aspectRatio - The aspect ratio of the image.
-   * @param {object} options - An object containing overrides for the default
-   *                           options. See below for the full list of options
-   *                           and defaults.
+   * @param {Number} minAspectRatio - The minimum aspect ratio of a row.
    *
-   * @returns {object} The Pig instance.
+   * @returns {Number} The number of columns.
    */
-  function Pig(imageData, options) {
-    // Global State
-    this.inRAF = false;
-    this.isTransitioning = false;
-    this.minAspectRatioRequiresTransition = false;
-    this.minAspectRatio = null;
-    this.latestYOffset = 0;
-    this.lastWindowWidth = window.innerWidth;
-    this.scrollDirection = 'down';
-
-    // List of images that are loading or completely loaded on screen.
-    this.visibleImages = [];
-
-    // These are the default settings, which may be overridden.
-    this.settings = {
+  function _getNumColumns(minAspectRatio) {
+    return Math.max(1, Math.round(minAspectRatio));
+  }
 
-      /**
-       * Type: string
-       * Default: 'pig'
-       * Description: The class name of the element inside of which images should
-       *   be loaded.
-       */
-      containerId: 'pig',
+  /**
+   * The number of consecutive images under each sentinel element, when the
+   * IntersectionObserver is used with layouts other than rows.
+   */
+  const SENTINEL_BLOCK_SIZE = 20;
 
-      /**
-       * Type: window | HTMLElement
-       * Default: window
-       * Description: The window or HTML element that the grid scrolls in.
-       */
-      scroller: window,
+  /**
+   * How far, in pixels, the wheel has to move with the ctrl key held to zoom
+   * by one level. A notch of a mouse wheel is usually about this far.
+   */
+  const ZOOM_WHEEL_THRESHOLD = 100;
 
-      /**
-       * Type: string
-       * Default: 'pig'
-       * Description: The prefix associated with this library that should be
-       *   prepended to class names within the grid.
-       */
-      classPrefix: 'pig',
+  /**
+   * How many times further apart, or closer together, the fingers of a pinch
+   * have to move to zoom by one level.
+   */
+  const PINCH_ZOOM_SCALE = 1.25;
 
-      /**
-       * Type: string
-       * Default: 'figure'
-       * Description: The tag name to use for each figure. The default setting is
-       *   to use a <figure></figure> tag.
-       */
-      figureTagName: 'figure',
+  /**
+   * Saves a value in the state of the current history entry, keeping the
+   * rest of the state as it is, so that it is restored when the user comes
+   * back to this entry. If the state isn't an object that we can add to, or
+   * can't be replaced, the value is saved in `sessionStorage` for the
+   * current URL instead.
+   *
+   * @param {string} key - The key to save the value under.
+   * @param {*} value - The value, which must be serializable.
+   */
+  function _writeHistoryState(key, value) {
+    const state = window.history.state;
+    if (state === null || (typeof state === 'object' && !Array.isArray(state))) {
+      const newState = {};
+      _extend(newState, state);
+      newState[key] = value;
+      try {
+        window.history.replaceState(newState, '');
+        return;
+      } catch (e) {
+        // Fall back to sessionStorage.
+      }
+    }
 
-      /**
-       * Type: Number
-       * Default: 8
-       * Description: Size in pixels of the gap between images in the grid.
-       */
-      spaceBetweenImages: 8,
+    try {
+      window.sessionStorage.setItem(key + ' ' + window.location.href, JSON.stringify(value));
+    } catch (e) {
+      // Storage is full or disabled, so the value isn't saved.
+    }
+  }
 
-      /**
-       * Type: Number
-       * Default: 500
-       * Description: Transition speed in milliseconds
-       */
-      transitionSpeed: 500,
+  /**
+   * Reads a value saved with `_writeHistoryState`.
+   *
+   * @param {string} key - The key the value was saved under.
+   *
+   * @returns {*} The value, or null if there is none.
+   */
+  function _readHistoryState(key) {
+    const state = window.history.state;
+    if (state && typeof state === 'object' && state.hasOwnProperty(key)) {
+      return state[key];
+    }
 
-      /**
-       * Type: Number
-       * Default: 3000
-       * Description: Height in pixels of images to preload in the direction
-       *   that the user is scrolling. For example, in the default case, if the
-       *   user is scrolling down, 1000px worth of images will be loaded below
-       *   the viewport.
-       */
-      primaryImageBufferHeight: 1000,
+    try {
+      return JSON.parse(window.sessionStorage.getItem(key + ' ' + window.location.href));
+    } catch (e) {
+      return null;
+    }
+  }
 
-      /**
-       * Type: Number
-       * Default: 100
-       * Description: Height in pixels of images to preload in the direction
-       *   that the user is NOT scrolling. For example, in the default case, if
-       *   the user is scrolling down, 300px worth of images will be loaded
-       *   above the viewport.  Images further up will be removed.
-       */
-      secondaryImageBufferHeight: 300,
+  /**
+   * Turns off the browser's own scroll restoration while any grid on the page
+   * restores its scroll position, and turns it back to what it was once the
+   * last of them stops. Each grid calls `add()` and then `remove()` once.
+   */
+  const manualScrollRestoration = (function() {
+    let count = 0;
+    let previousValue = null;
 
-      /**
-       * Type: Number
-       * Default: 20
-       * Description: The height in pixels of the thumbnail that should be
-       *   loaded and blurred to give the effect that images are loading out of
-       *   focus and then coming into focus.
-       */
-      thumbnailSize: 20,
+    return {
+      add: function() {
+        if (!('scrollRestoration' in window.history)) {
+          return;
+        }
 
-      /**
-       * Get the URL for an image with the given filename & size.
-       *
-       * @param {string} filename - The filename of the image.
-       * @param {Number} size - The size (height in pixels) of the image.
-       *
-       * @returns {string} The URL of the image at the given size.
-       */
-      urlForSize: function(filename, size) {
-        return '/img/' + size.toString(10) + '/' + filename;
+        if (count === 0) {
+          previousValue = window.history.scrollRestoration;
+          window.history.scrollRestoration = 'manual';
+        }
+        count++;
       },
 
-      /**
-       * Get a callback with the filename of the image
-       * which was clicked.
-       *
-       * @param {string} filename - The filename property of the image.
-       */
-      onClickHandler: null,
+      remove: function() {
+        if (!('scrollRestoration' in window.history) || count === 0) {
+          return;
+        }
 
-      /**
-       * Get the minimum required aspect ratio for a valid row of images. The
-       * perfect rows are maintained by building up a row of images by adding
-       * together their aspect ratios (the aspect ratio when they are placed
-       * next to each other) until that aspect ratio exceeds the value returned
-       * by this function. Responsive reordering is achieved through changes
-       * to what this function returns at different values of the passed
-       * parameter `lastWindowWidth`.
-       *
-       * @param {Number} lastWindowWidth - The last computed width of the
-       *                                   browser window.
-       *
-       * @returns {Number} The minimum aspect ratio at this window width.
-       */
-      getMinAspectRatio: function(lastWindowWidth) {
-        if (lastWindowWidth <= 640) {
-          return 2;
-        } else if (lastWindowWidth <= 1280) {
-          return 4;
-        } else if (lastWindowWidth <= 1920) {
-          return 5;
+        count--;
+        if (count === 0) {
+          window.history.scrollRestoration = previousValue;
         }
-        return 6;
-      },
+      }
+    };
+  }());
 
-      /**
-       * Get the image size (height in pixels) to use for this window width.
-       * Responsive resizing of images is achieved through changes to what this
-       * function returns at different values of the passed parameter
-       * `lastWindowWidth`.
-       *
-       * @param {Number} lastWindowWidth - The last computed width of the
-       *                                   browser window.
-       *
-       * @returns {Number} The size (height in pixels) of the images to load.
-       */
-      getImageSize: function(lastWindowWidth) {
-        if (lastWindowWidth <= 640) {
-          return 100;
-        } else if (lastWindowWidth <= 1920) {
-          return 250;
-        }
-        return 500;
+  /**
+   * Finds the first element of a sorted array that is not less than `value`,
+   * with a binary search.
+   *
+   * @param {array} sortedArray - The sorted array.
+   * @param {Number} value - The value to look for.
+   *
+   * @returns {Number} The index of the first element that is not less than
+   *                   `value`, or the length of the array if there is none.
+   */
+  function _lowerBound(sortedArray, value) {
+    let low = 0;
+    let high = sortedArray.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (sortedArray[middle] < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
       }
-    };
-
-    // We extend the default settings with the provided overrides.
-    _extend(this.settings, options || {});
-
-    // Find the container to load images into, if it exists.
-    this.container = document.getElementById(this.settings.containerId);
-    if (!this.container) {
-      console.error('Could not find element with ID ' + this.settings.containerId);
     }
+    return low;
+  }
 
-    this.scroller = this.settings.scroller;
+  /**
+   * The alphabet of the base 83 encoding used by BlurHash.
+   */
+  const BLURHASH_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ' +
+    'abcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
 
-    // Our global reference for images in the grid.  Note that not all of these
-    // images are necessarily in view or loaded.
-    this.images = this._parseImageData(imageData);
+  /**
+   * The size, in pixels, of the longer side of decoded BlurHash placeholders,
+   * which are decoded at the aspect ratio of their image. They are scaled up
+   * to fill the figure, so they can be tiny.
+   */
+  const BLURHASH_SIZE = 32;
 
-    // Inject our boilerplate CSS.
-    _injectStyle(this.settings.containerId, this.settings.classPrefix, this.settings.transitionSpeed);
+  /**
+   * Decodes a base 83 string, as used by BlurHash, to an integer.
+   *
+   * @param {string} str - The encoded string.
+   *
+   * @returns {Number} The decoded integer.
+   */
+  function _decode83(str) {
+    let value = 0;
+    for (let i = 0; i < str.length; i++) {
+      value = value * 83 + BLURHASH_CHARACTERS.indexOf(str[i]);
+    }
+    return value;
+  }
 
-    // Allows for chaining with `enable()`.
-    return this;
+  /**
+   * Converts an sRGB channel value, from 0 to 255, to linear light.
+   */
+  function _sRGBToLinear(value) {
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
   }
 
   /**
-   * Because we may be transitioning a very large number of elements on a
-   * resize, and because we cannot reliably determine when all elements are
-   * done transitioning, we have to approximate the amount of time it will take
-   * for the browser to be expected to complete with a transition. This
-   * constant gives the scale factor to apply to the given transition time. For
-   * example, if transitionTimeoutScaleFactor is 1.5 and transition speed is
-   * given as 500ms, we will wait 750ms before assuming that we are actually
-   * done resizing.
-   *
-   * @returns {Number} Time in milliseconds before we can consider a resize to
-   *   have been completed.
+   * Converts a linear light value to an sRGB channel value, from 0 to 255.
    */
-  Pig.prototype._getTransitionTimeout = function() {
-    const transitionTimeoutScaleFactor = 1.5;
-    return this.settings.transitionSpeed * transitionTimeoutScaleFactor;
-  };
+  function _linearToSRGB(value) {
+    const v = Math.max(0, Math.min(1, value));
+    if (v <= 0.0031308) {
+      return Math.trunc(v * 12.92 * 255 + 0.5);
+    }
+    return Math.trunc((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+  }
 
   /**
-   * Gives the CSS property string to set for the transition value, depending
-   * on whether or not we are transitioning.
+   * Decodes a BlurHash string (see https://blurha.sh) to RGBA pixels.
    *
-   * @returns {string} a value for the `transition` CSS property.
+   * @param {string} blurhash - The BlurHash string.
+   * @param {Number} width - The width of the decoded image, in pixels.
+   * @param {Number} height - The height of the decoded image, in pixels.
+   *
+   * @returns {Uint8ClampedArray|null} The RGBA pixels, row by row, or null if
+   *                                   `blurhash` is invalid.
    */
-  Pig.prototype._getTransitionString = function() {
-    if (this.isTransitioning) {
-      return (this.settings.transitionSpeed / 1000).toString(10) + 's transform ease';
+  function _decodeBlurHash(blurhash, width, height) {
+    if (typeof blurhash !== 'string' || blurhash.length < 6) {
+      return null;
     }
 
-    return 'none';
-  };
+    const sizeFlag = _decode83(blurhash[0]);
+    const numY = Math.floor(sizeFlag / 9) + 1;
+    const numX = (sizeFlag % 9) + 1;
+    if (blurhash.length !== 4 + 2 * numX * numY) {
+      return null;
+    }
+
+    // The first component is the average color, the others are the AC
+    // components of a discrete cosine transform.
+    const maximumValue = (_decode83(blurhash[1]) + 1) / 166;
+    const colors = [];
+    for (let i = 0; i < numX * numY; i++) {
+      if (i === 0) {
+        const value = _decode83(blurhash.substring(2, 6));
+        colors.push([
+          _sRGBToLinear(value >> 16),
+          _sRGBToLinear((value >> 8) & 255),
+          _sRGBToLinear(value & 255)
+        ]);
+      } else {
+        const value = _decode83(blurhash.substring(4 + i * 2, 6 + i * 2));
+        colors.push([
+          Math.floor(value / (19 * 19)),
+          Math.floor(value / 19) % 19,
+          value % 19
+        ].map(function(quantized) {
+          const v = (quantized - 9) / 9;
+          return (v < 0 ? -1 : 1) * v * v * maximumValue;
+        }));
+      }
+    }
+
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        for (let j = 0; j < numY; j++) {
+          for (let i = 0; i < numX; i++) {
+            const basis = Math.cos(Math.PI * x * i / width) *
+              Math.cos(Math.PI * y * j / height);
+            const color = colors[i + j * numX];
+            r += color[0] * basis;
+            g += color[1] * basis;
+            b += color[2] * basis;
+          }
+        }
+
+        const offset = 4 * (x + y * width);
+        pixels[offset] = _linearToSRGB(r);
+        pixels[offset + 1] = _linearToSRGB(g);
+        pixels[offset + 2] = _linearToSRGB(b);
+        pixels[offset + 3] = 255;
+      }
+    }
+    return pixels;
+  }
 
   /**
-   * Computes the current value for `this.minAspectRatio`, using the
-   * `getMinAspectRatio` function defined in the settings. Then,
-   * `this.minAspectRatioRequiresTransition` will be set, depending on whether
-   * or not the value of this.minAspectRatio has changed.
+   * The built-in layout engines, other than the justified rows that are
+   * computed by `Pig.prototype._computeLayout` itself. A layout engine
+   * computes the size and position of every image in the grid, without
+   * manipulating the DOM. User-supplied layout engines have the same
+   * signature:
+   *
+   * @param {array} images - The images in the grid. Each one has an
+   *                         `aspectRatio` and a `filename`, and within a Pig
+   *                         instance an `index` too.
+   * @param {Number} containerWidth - The width of the container in pixels.
+   * @param {object} options - Layout options.
+   * @param {Number} options.spaceBetweenImages - The gap between images in
+   *                                              pixels.
+   * @param {Number} options.minAspectRatio - The current value returned by
+   *                                          `getMinAspectRatio`.
+   * @param {Number} options.captionHeight - The height of the caption area
+   *                                         below each image, which is part
+   *                                         of the height of its figure.
+   *
+   * @returns {object} An object with a `positions` array, giving the `width`,
+   *                   `height`, `translateX` and `translateY` of each image in
+   *                   order, and the `totalHeight` of the grid.
    */
-  Pig.prototype._recomputeMinAspectRatio = function() {
-    const oldMinAspectRatio = this.minAspectRatio;
-    this.minAspectRatio = this.settings.getMinAspectRatio(this.lastWindowWidth);
+  const layoutEngines = {
 
-    if (oldMinAspectRatio !== null && oldMinAspectRatio !== this.minAspectRatio) {
-      this.minAspectRatioRequiresTransition = true;
-    } else {
-      this.minAspectRatioRequiresTransition = false;
+    /**
+     * A masonry layout: images keep their aspect ratio and are placed one
+     * after another in whichever column is currently the shortest.
+     */
+    columns: function(images, containerWidth, options) {
+      const numColumns = _getNumColumns(options.minAspectRatio);
+      const columnWidth = (containerWidth - options.spaceBetweenImages * (numColumns - 1)) / numColumns;
+      const columnHeights = [];
+      for (let i = 0; i < numColumns; i++) {
+        columnHeights.push(0);
+      }
+
+      const positions = images.map(function(image) {
+        const column = columnHeights.indexOf(Math.min.apply(null, columnHeights));
+        const height = parseInt(columnWidth / image.aspectRatio, 10) + options.captionHeight;
+        const position = {
+          width: parseInt(columnWidth, 10),
+          height: height,
+          translateX: column * (columnWidth + options.spaceBetweenImages),
+          translateY: columnHeights[column]
+        };
+
+        columnHeights[column] += height + options.spaceBetweenImages;
+        return position;
+      });
+
+      return {
+        positions: positions,
+
+        // No space below the last image
+        totalHeight: images.length ?
+          Math.max.apply(null, columnHeights) - options.spaceBetweenImages :
+          0
+      };
+    },
+
+    /**
+     * A uniform grid of square images, which are cropped to fit.
+     */
+    squares: function(images, containerWidth, options) {
+      const numColumns = _getNumColumns(options.minAspectRatio);
+      const size = (containerWidth - options.spaceBetweenImages * (numColumns - 1)) / numColumns;
+      const height = parseInt(size, 10) + options.captionHeight;
+      const numRows = Math.ceil(images.length / numColumns);
+
+      const positions = images.map(function(image, index) {
+        return {
+          width: parseInt(size, 10),
+          height: height,
+          translateX: (index % numColumns) * (size + options.spaceBetweenImages),
+          translateY: Math.floor(index / numColumns) * (height + options.spaceBetweenImages)
+        };
+      });
+
+      return {
+        positions: positions,
+        totalHeight: numRows ? numRows * (height + options.spaceBetweenImages) - options.spaceBetweenImages : 0
+      };
     }
   };
 
   /**
-   * Creates new instances of the ProgressiveImage class for each of the images
-   * defined in `imageData`.
+   * Splits `images` into sections of consecutive images that belong to the
+   * same group. If no image has a group, there is a single section.
    *
-   * @param {array} imageData - An array of metadata about each image to
-   *                            include in the grid.
-   * @param {string} imageData[0].filename - The filename of the image.
-   * @param {string} imageData[0].aspectRatio - The aspect ratio of the image.
+   * @param {array} images - The images in the grid.
    *
-   * @returns {Array[ProgressiveImage]} - An array of ProgressiveImage
-   *                                      instances that we created.
+   * @returns {Array[object]} The `group` of each section, and the `start`
+   *                          (inclusive) and `end` (exclusive) indices of its
+   *                          images.
    */
-  Pig.prototype._parseImageData = function(imageData) {
-    const progressiveImages = [];
+  function _getSections(images) {
+    const sections = [];
 
-    imageData.forEach(function(image, index) {
-      const progressiveImage = new ProgressiveImage(image, index, this);
-      progressiveImages.push(progressiveImage);
-    }.bind(this));
+    images.forEach(function(image, index) {
+      if (!sections.length || image.group !== images[index - 1].group) {
+        sections.push({ group: image.group, start: index, end: index + 1 });
+      } else {
+        sections[sections.length - 1].end = index + 1;
+      }
+    });
 
-    return progressiveImages;
-  };
+    return sections;
+  }
 
   /**
-   * This computes the layout of the entire grid, setting the height, width,
-   * translateX, translateY, and transtion values for each ProgessiveImage in
-   * `this.images`. These styles are set on the ProgressiveImage.style property,
-   * but are not set on the DOM.
+   * Chooses the row breaks for a section of the grid, so that every row is as
+   * close as possible to the target height, which is the height of a row with
+   * an aspect ratio of exactly `options.minAspectRatio`. This is the same
+   * approach that the Knuth-Plass algorithm uses to break paragraphs into
+   * lines.
    *
-   * This separation of concerns (computing layout and DOM manipulation) is
-   * paramount to the performance of the PIG. While we need to manipulate the
-   * DOM every time we scroll (adding or remove images, etc.), we only need to
-   * compute the layout of the PIG on load and on resize. Therefore, this
-   * function will compute the entire grid layout but will not manipulate the
-   * DOM at all.
+   * We use dynamic programming: `cost[i]` is the lowest total cost of laying
+   * out the first `i` images in complete rows, where the cost of a row is the
+   * square of its relative difference from the target height. To keep this
+   * fast for very large grids, we only consider rows whose aspect ratio is at
+   * most `maxRowAspectRatioScale` times `options.minAspectRatio` (always
+   * allowing a row of a single image), so the work done per image is bounded
+   * by the number of images that fit in such a row.
    *
-   * All DOM manipulation occurs in `_doLayout`.
+   * Like in the greedy layout, the last row is allowed to be shorter than the
+   * width of the container. Its height is computed as if its aspect ratio
+   * were at least `options.minAspectRatio`, so a short last row is charged
+   * for the space its gaps take up, which puts its height a little under the
+   * target, but not for how much of the width it leaves empty.
+   *
+   * @param {array} images - The images in the grid.
+   * @param {Number} sectionStart - The index of the first image to lay out.
+   * @param {Number} sectionEnd - The index after the last image to lay out.
+   * @param {object} options - The layout options, see `computeLayout`.
+   *
+   * @returns {Array[Number]} The index after the last image of each row.
    */
-  Pig.prototype._computeLayout = function() {
-    // Constants
-    const wrapperWidth = parseInt(this.container.clientWidth, 10);
+  function _computeOptimalRowEnds(images, sectionStart, sectionEnd, options) {
+    const maxRowAspectRatioScale = 2;
+    const maxRowAspectRatio = options.minAspectRatio * maxRowAspectRatioScale;
+    const targetHeight = options.width / options.minAspectRatio;
+    const numImages = sectionEnd - sectionStart;
+
+    // These are indexed relative to sectionStart.
+    const cost = new Float64Array(numImages + 1);
+    const previousRowEnd = new Int32Array(numImages + 1);
+
+    for (let end = 1; end <= numImages; end++) {
+      cost[end] = Infinity;
+
+      let rowAspectRatio = 0;
+      for (let start = end - 1; start >= 0; start--) {
+        rowAspectRatio += parseFloat(images[sectionStart + start].aspectRatio);
+
+        // The last row is not stretched beyond the minimum aspect ratio.
+        const effectiveAspectRatio = (end === numImages) ?
+          Math.max(rowAspectRatio, options.minAspectRatio) :
+          rowAspectRatio;
+        const totalDesiredWidthOfImages = options.width - options.spaceBetweenImages * (end - start - 1);
+        const rowHeight = totalDesiredWidthOfImages / effectiveAspectRatio;
+        const badness = (rowHeight - targetHeight) / targetHeight;
+        const rowCost = cost[start] + badness * badness;
+
+        if (rowCost < cost[end]) {
+          cost[end] = rowCost;
+          previousRowEnd[end] = start;
+        }
 
-    // State
-    let row = [];           // The list of images in the current row.
+        if (rowAspectRatio >= maxRowAspectRatio) {
+          break;
+        }
+      }
+    }
+
+    // Walk back from the last image to find where each row ends.
+    const rowEnds = [];
+    for (let end = numImages; end > 0; end = previousRowEnd[end]) {
+      rowEnds.unshift(sectionStart + end);
+    }
+
+    return rowEnds;
+  }
+
+  /**
+   * Builds up a single row of images starting at `images[start]`, and
+   * computes the width, height, translateX and translateY values for each
+   * image in the row. Unless `rowEnd` is given, images are added to the row
+   * until the rowAspectRatio exceeds `options.minAspectRatio`, or we run out
+   * of images.
+   *
+   * @param {array} images - The images in the grid.
+   * @param {Number} start - The index of the first image in the row.
+   * @param {Number} translateY - The translateY value of the row.
+   * @param {object} options - The layout options, see `computeLayout`.
+   * @param {Number|null} rowEnd - If given, the index after the last image of
+   *                               the row.
+   * @param {Number} sectionEnd - The index after the last image of the
+   *                              section.
+   * @param {array} positions - The positions of the images, by index, which
+   *                            this function adds to.
+   *
+   * @returns {object} A record of the row, with the `start` (inclusive) and
+   *                   `end` (exclusive) indices of its images, and its
+   *                   `translateY` and `height` values.
+   */
+  function _layoutRow(images, start, translateY, options, rowEnd, sectionEnd, positions) {
+    let end = start;        // The index after the last image in the row.
     let translateX = 0;     // The current translateX value that we are at
-    let translateY = 0;     // The current translateY value that we are at
     let rowAspectRatio = 0; // The aspect ratio of the row we are building
 
-    // Compute the minimum aspect ratio that should be applied to the rows.
-    this._recomputeMinAspectRatio();
+    // When the rowAspectRatio exceeeds the minimum acceptable aspect ratio,
+    // or when we're out of images, we say that we have all the images we
+    // need for this row.
+    while (end < sectionEnd &&
+           (rowEnd ? end < rowEnd : rowAspectRatio < options.minAspectRatio)) {
+      rowAspectRatio += parseFloat(images[end].aspectRatio);
+      end++;
+    }
 
-    // If we are not currently transitioning, and our minAspectRatio has just
-    // changed, then we mark isTransitioning true. If this is the case, then
-    // `this._getTransitionString()` will ensure that each image has a value
-    // like "0.5s ease all". This will cause images to animate as they change
-    // position. (They need to change position because the minAspectRatio has
-    // changed.) Once we determine that the transtion is probably over (using
-    // `this._getTransitionTimeout`) we unset `this.isTransitioning`, so that
-    // future calls to `_computeLayout` will set "transition: none".
-    if (!this.isTransitioning && this.minAspectRatioRequiresTransition) {
-      this.isTransitioning = true;
-      setTimeout(function() {
-        this.isTransitioning = false;
-      }, this._getTransitionTimeout());
+    // Make sure that the last row also has a reasonable height
+    if (end === sectionEnd) {
+      rowAspectRatio = Math.max(rowAspectRatio, options.minAspectRatio);
     }
 
-    // Get the valid-CSS transition string.
-    const transition = this._getTransitionString();
+    // Compute this row's height.
+    const totalDesiredWidthOfImages = options.width - options.spaceBetweenImages * (end - start - 1);
+    const rowHeight = totalDesiredWidthOfImages / rowAspectRatio;
 
-    // Loop through all our images, building them up into rows and computing
-    // the working rowAspectRatio.
-    [].forEach.call(this.images, function(image, index) {
-      rowAspectRatio += parseFloat(image.aspectRatio);
-      row.push(image);
-
-      // When the rowAspectRatio exceeeds the minimum acceptable aspect ratio,
-      // or when we're out of images, we say that we have all the images we
-      // need for this row, and compute the style values for each of these
-      // images.
-      if (rowAspectRatio >= this.minAspectRatio || index + 1 === this.images.length) {
-
-        // Make sure that the last row also has a reasonable height
-        rowAspectRatio = Math.max(rowAspectRatio, this.minAspectRatio);
-
-        // Compute this row's height.
-        const totalDesiredWidthOfImages = wrapperWidth - this.settings.spaceBetweenImages * (row.length - 1);
-        const rowHeight = totalDesiredWidthOfImages / rowAspectRatio;
-
-        // For each image in the row, compute the width, height, translateX,
-        // and translateY values, and set them (and the transition value we
-        // found above) on each image.
-        //
-        // NOTE: This does not manipulate the DOM, rather it just sets the
-        //       style values on the ProgressiveImage instance. The DOM nodes
-        //       will be updated in _doLayout.
-        row.forEach(function(img) {
-
-          const imageWidth = rowHeight * img.aspectRatio;
-
-          // This is NOT DOM manipulation.
-          img.style = {
-            width: parseInt(imageWidth, 10),
-            height: parseInt(rowHeight, 10),
-            translateX: translateX,
-            translateY: translateY,
-            transition: transition
-          };
-
-          // The next image is this.settings.spaceBetweenImages pixels to the
-          // right of this image.
-          translateX += imageWidth + this.settings.spaceBetweenImages;
+    // The caption area below the images adds to the height of their figures.
+    const figureHeight = parseInt(rowHeight, 10) + options.captionHeight;
 
-        }.bind(this));
+    // For each image in the row, compute the width, height, translateX,
+    // and translateY values.
+    for (let index = start; index < end; index++) {
+      const imageWidth = rowHeight * images[index].aspectRatio;
 
-        // Reset our state variables for next row.
-        row = [];
-        rowAspectRatio = 0;
-        translateY += parseInt(rowHeight, 10) + this.settings.spaceBetweenImages;
-        translateX = 0;
-      }
-    }.bind(this));
+      positions[index] = {
+        width: parseInt(imageWidth, 10),
+        height: figureHeight,
+        translateX: translateX,
+        translateY: translateY
+      };
 
-    // No space below the last image
-    this.totalHeight = translateY - this.settings.spaceBetweenImages;
-  };
+      // The next image is options.spaceBetweenImages pixels to the right of
+      // this image.
+      translateX += imageWidth + options.spaceBetweenImages;
+    }
+
+    return {
+      start: start,
+      end: end,
+      translateY: translateY,
+      height: figureHeight
+    };
+  }
 
   /**
-   * Update the DOM to reflect the style values of each image in the PIG,
-   * adding or removing images appropriately.
-   *
-   * PIG ensures that there are not too many images loaded into the DOM at once
-   * by maintaining a buffer region around the viewport in which images are
-   * allowed, removing all images below and above. Because all of our layout
-   * is computed using CSS transforms, removing an image above the buffer will
-   * not cause the gird to reshuffle.
+   * Lay out the images of a section in rows one after another until we run
+   * out of images, keeping a record of each row so that
+   * `Pig.prototype._computeLayoutFrom` can later recompute only the rows
+   * affected by a change to the images.
    *
-   * The primary buffer is the buffer in the direction of the user's scrolling.
-   * (Below if they are scrolling down, above if they are scrolling up.) The
-   * size of this buffer determines the experience of scrolling down the page.
+   * @param {array} images - The images in the grid.
+   * @param {object} section - The section to lay out, from `_getSections`.
+   * @param {Number} translateY - The translateY value of the first row.
+   * @param {object} options - The layout options, see `computeLayout`.
+   * @param {array} rows - The records of the rows, which this function adds
+   *                       to.
+   * @param {array} positions - The positions of the images, by index, which
+   *                            this function adds to.
    *
-   * The secondary buffer is the buffer in the opposite direction of the user's
-   * scrolling.  The size of this buffer determines the experience of changing
-   * scroll directions. (Too small, and we have to reload a ton of images above
-   * the viewport if the user changes scroll directions.)
+   * @returns {Number} The height in pixels of the section.
+   */
+  function _computeRowsLayout(images, section, translateY, options, rows, positions) {
+    const sectionTop = translateY;
+    let start = section.start;
+
+    // In 'optimal' mode, the row breaks are decided up front. Otherwise, each
+    // row is built up greedily in `_layoutRow`.
+    const rowEnds = options.layoutAlgorithm === 'optimal' ?
+      _computeOptimalRowEnds(images, section.start, section.end, options) :
+      null;
+
+    for (let i = 0; start < section.end; i++) {
+      const row = _layoutRow(images, start, translateY, options, rowEnds ? rowEnds[i] : null, section.end, positions);
+      rows.push(row);
+      start = row.end;
+      translateY += row.height + options.spaceBetweenImages;
+    }
+
+    // No space below the last image
+    return translateY - options.spaceBetweenImages - sectionTop;
+  }
+
+  /**
+   * Computes the layout of a section using a layout engine, which is either
+   * one of the built-in `layoutEngines` or a user-supplied function with the
+   * same signature.
    *
-   * While the entire grid has been computed, only images within the viewport,
-   * the primary buffer, and the secondary buffer will exist in the DOM.
+   * @param {function} engine - The layout engine.
+   * @param {array} images - The images in the grid.
+   * @param {object} section - The section to lay out, from `_getSections`.
+   * @param {Number} translateY - The translateY value of the section.
+   * @param {object} options - The layout options, see `computeLayout`.
+   * @param {array} positions - The positions of the images, by index, which
+   *                            this function adds to.
    *
+   * @returns {Number} The height in pixels of the section.
+   */
+  function _computeEngineLayout(engine, images, section, translateY, options, positions) {
+    const layout = engine(images.slice(section.start, section.end), options.width, {
+      spaceBetweenImages: options.spaceBetweenImages,
+      minAspectRatio: options.minAspectRatio,
+      captionHeight: options.captionHeight
+    });
+
+    layout.positions.forEach(function(position, index) {
+      positions[section.start + index] = {
+        width: position.width,
+        height: position.height,
+        translateX: position.translateX,
+        translateY: translateY + position.translateY
+      };
+    });
+
+    return layout.totalHeight;
+  }
+
+  /**
+   * Swaps the horizontal and vertical size and position of a box.
    *
-   *             Illustration: the primary and secondary buffers
+   * @param {object} position - The `width`, `height`, `translateX` and
+   *                            `translateY` of the box.
    *
+   * @returns {object} The transposed position.
+   */
+  function _transpose(position) {
+    return {
+      width: position.height,
+      height: position.width,
+      translateX: position.translateY,
+      translateY: position.translateX
+    };
+  }
+
+  /**
+   * This computes the layout of the entire grid: the width, height,
+   * translateX and translateY values of each image and group header, and the
+   * total height of the grid. It is a pure function, which does not touch the
+   * DOM or `window`, so that it can also be used outside of the browser, for
+   * example to render the grid on the server.
    *
-   * +---------------------------+
-   * |                           |
-   * |                           |
-   * |                           |
-   * |                           |
-   * + - - - - - - - - - - - - - +                   -------
-   * |                           |                      A
-   * |     Secondary Buffer      |   this.setting.secondaryImageBufferHeight
-   * |                           |                      V
-   * +---------------------------+                   -------
-   * |                           |                      A
-   * |                           |                      |
-   * |                           |                      |
-   * |        Viewport           |              window.innerHeight
-   * |                           |                      |
-   * |                           |                      |
-   * |                           |                      V
-   * +---------------------------+                   -------
-   * |                           |                      A
-   * |                           |                      |
-   * |                           |                      |
-   * |                           |                      |
-   * |      Primary Buffer       |    this.settings.primaryImageBufferHeight
-   * |                           |                      |
-   * |                           |                      |
-   * |                           |                      |
-   * |                           |                      V
-   * + - - - - - - - - - - - - - +                   -------
-   * |                           |
-   * |    (Scroll direction)     |
-   * |            |              |
-   * |            |              |
-   * |            V              |
-   * |                           |
+   * @param {array} images - The images in the grid. Each one has an
+   *                         `aspectRatio`, and optionally a `group`.
+   * @param {object} options - The layout options.
+   * @param {Number} options.width - The width of the container in pixels.
+   * @param {Number} options.minAspectRatio - The minimum aspect ratio of a
+   *                                          row.
+   * @param {Number} options.spaceBetweenImages - The gap between images in
+   *                                              pixels.
+   * @param {string|function} options.layout - The layout, as in the `layout`
+   *                                           setting of Pig.
+   * @param {string} options.layoutAlgorithm - The row layout algorithm, as in
+   *                                           the `layoutAlgorithm` setting.
+   * @param {Number} options.groupHeaderHeight - The height of the header
+   *                                             above each section, or 0 if
+   *                                             there are no headers.
+   * @param {Number} options.captionHeight - The height of the caption area
+   *                                         below each image, or 0.
+   * @param {string} options.orientation - 'vertical', or 'horizontal' to
+   *                                       lay out the grid on its side, in
+   *                                       columns that fill `options.height`.
+   * @param {Number} options.height - The height of the container in pixels,
+   *                                  in the horizontal orientation.
    *
+   * @returns {object} The `positions` of the images, the positions of the
+   *                   `groupHeaders` (each with the `group` it belongs to),
+   *                   the `rows` of the rows layout (or null for other
+   *                   layouts and the horizontal orientation), and the
+   *                   `totalHeight` of the grid, as well as its `totalWidth`
+   *                   in the horizontal orientation.
    */
-  Pig.prototype._doLayout = function() {
+  function computeLayout(images, options) {
+    // The horizontal layout is the vertical layout of the same images turned
+    // on their side, transposed back: a row becomes a column of images which
+    // fills the height of the container.
+    if (options.orientation === 'horizontal') {
+      const transposedOptions = {};
+      _extend(transposedOptions, options);
+      transposedOptions.orientation = 'vertical';
+      transposedOptions.width = options.height;
+
+      // Captions can't be laid out on their side, so their area is taken
+      // from the height of the images instead.
+      transposedOptions.captionHeight = 0;
+
+      const transposedLayout = computeLayout(images.map(function(image) {
+        return {
+          filename: image.filename,
+          aspectRatio: 1 / image.aspectRatio,
+          group: image.group
+        };
+      }), transposedOptions);
+
+      return {
+        positions: transposedLayout.positions.map(_transpose),
+        groupHeaders: transposedLayout.groupHeaders.map(function(header) {
+          const position = _transpose(header);
+          position.group = header.group;
+          return position;
+        }),
+        rows: null,
+        totalWidth: transposedLayout.totalHeight,
+        totalHeight: options.height
+      };
+    }
+
+    const positions = [];
+    const groupHeaders = [];
+    let translateY = 0;
+
+    // Layouts other than the built-in rows are computed by a layout engine.
+    let engine = null;
+    if (options.layout !== 'rows') {
+      engine = typeof options.layout === 'function' ?
+        options.layout :
+        layoutEngines[options.layout];
+
+      if (!engine) {
+        console.error('Unknown layout ' + options.layout);
+      }
+    }
+
+    // Rows are only kept track of by the built-in rows layout.
+    const rows = engine ? null : [];
+
+    // Each section of images is laid out separately, one below the other,
+    // preceded by its group header if there is one.
+    _getSections(images).forEach(function(section) {
+      if (options.groupHeaderHeight && section.group !== undefined) {
+        groupHeaders.push({
+          group: section.group,
+          width: options.width,
+          height: options.groupHeaderHeight,
+          translateX: 0,
+          translateY: translateY
+        });
+        translateY += options.groupHeaderHeight + options.spaceBetweenImages;
+      }
+
+      const sectionHeight = engine ?
+        _computeEngineLayout(engine, images, section, translateY, options, positions) :
+        _computeRowsLayout(images, section, translateY, options, rows, positions);
+      translateY += sectionHeight + options.spaceBetweenImages;
+    });
+
+    return {
+      positions: positions,
+      groupHeaders: groupHeaders,
+      rows: rows,
+
+      // No space below the last image
+      totalHeight: Math.max(translateY - options.spaceBetweenImages, 0)
+    };
+  }
+
+  /**
+   * Creates an instance of the progressive image grid, inserting boilerplate
+   * CSS and loading image data. Instantiating an instance of the Pig class
+   * does not cause any images to appear however. After instantiating, call the
+   * `enable()` function on the returned instance:
+   *
+   *   var pig = new Pig(imageData, opts);
+   *   pig.enable();
+   *
+   * @param {array} imageData - An array of metadata about each image to
+   *                            include in the grid.
+   * @param {string} imageData[0].filename - The filename of the image.
+   * @param {string} imageData[0].aspectRatio - The aspect ratio of the image.
+   * @param {object} options - An object containing overrides for the default
+   *                           options. See below for the full list of options
+   *                           and defaults.
+   *
+   * @returns {object} The Pig instance.
+   */
+  function Pig(imageData, options) {
+    // Global State
+    this.isEnabled = false;
+    this.inRAF = false;
+    this.isTransitioning = false;
+    this.minAspectRatioRequiresTransition = false;
+    this.minAspectRatio = null;
+    this.latestYOffset = 0;
+    this.lastWindowWidth = window.innerWidth;
+    this.scrollDirection = 'down';
+
+    // The top and bottom of the viewport, relative to the container, as of
+    // the last call to `_updateViewport()`. In the horizontal orientation,
+    // these are its left and right edges, and `scrollDirection` is 'down'
+    // when scrolling to the right.
+    this.viewportTop = 0;
+    this.viewportBottom = 0;
+
+    // With the `useIntersectionObserver` setting, the observer, the blocks of
+    // images that it watches, and the sentinel element over each block.
+    this.observer = null;
+    this.blocks = [];
+    this.sentinels = [];
+    this.sentinelIndices = new Map();
+
+    // List of images that are loading or completely loaded on screen.
+    this.visibleImages = [];
+
+    // Figures that were released by hidden images, to be reused.
+    this.figurePool = [];
+
+    // Watches the figures of videos and animated images on the page, which
+    // only play while they are in the viewport.
+    this.mediaObserver = null;
+
+    // The images sorted by translateY, for finding the images in the buffers
+    // with a binary search. It is rebuilt after the layout changes.
+    this.layoutIndex = null;
+
+    // The index of the image that can be focused with the tab key. Only one
+    // figure in the grid is in the tab order, and the arrow keys move focus
+    // between figures.
+    this.focusedIndex = 0;
+
+    // The headers of the sections of the grid, in order.
+    this.groupHeaders = [];
+
+    // Lists of event handlers added with `on()`, by event name.
+    this.eventHandlers = {};
+
+    // The image that was last clicked in selection mode, from which a range
+    // is selected with shift+click.
+    this.selectionAnchor = null;
+
+    // With the `zoomGestures` setting, the wheel movement with the ctrl key
+    // that hasn't added up to a zoom step yet, and the distance between the
+    // fingers of a pinch when the zoom level last changed.
+    this.wheelZoomDelta = 0;
+    this.pinchDistance = null;
+
+    // These are the default settings, which may be overridden.
+    this.settings = {
+
+      /**
+       * Type: string
+       * Default: 'pig'
+       * Description: The class name of the element inside of which images should
+       *   be loaded.
+       */
+      containerId: 'pig',
+
+      /**
+       * Type: HTMLElement
+       * Default: null
+       * Description: The element inside of which images should be loaded. If
+       *   this is set, it is used instead of looking up `containerId`, so the
+       *   container doesn't need an ID, and can be inside a shadow root.
+       */
+      container: null,
+
+      /**
+       * Type: window | HTMLElement
+       * Default: window
+       * Description: The window or HTML element that the grid scrolls in.
+       */
+      scroller: window,
+
+      /**
+       * Type: string
+       * Default: 'pig'
+       * Description: The prefix associated with this library that should be
+       *   prepended to class names within the grid.
+       */
+      classPrefix: 'pig',
+
+      /**
+       * Type: string
+       * Default: 'figure'
+       * Description: The tag name to use for each figure. The default setting is
+       *   to use a <figure></figure> tag.
+       */
+      figureTagName: 'figure',
+
+      /**
+       * Type: string
+       * Default: 'inline'
+       * Description: How to add the CSS that the grid needs to the page.
+       *   'inline' adds a <style> element, with the `nonce` setting as its
+       *   nonce. 'constructed' adopts a constructed style sheet instead, which
+       *   a Content-Security-Policy doesn't block, and falls back to 'inline'
+       *   in browsers that don't support it. 'none' adds nothing, for pages
+       *   that include `pig.css` themselves. The CSS is added once for every
+       *   instance with the same `classPrefix`, in the document or in the
+       *   shadow root that holds the container.
+       */
+      styleMode: 'inline',
+
+      /**
+       * Type: string
+       * Default: null
+       * Description: The nonce of the <style> element added in the 'inline'
+       *   `styleMode`, to allow it under a Content-Security-Policy.
+       */
+      nonce: null,
+
+      /**
+       * Type: Number
+       * Default: 8
+       * Description: Size in pixels of the gap between images in the grid.
+       */
+      spaceBetweenImages: 8,
+
+      /**
+       * Type: string | function
+       * Default: 'rows'
+       * Description: How images are arranged in the grid. The built-in
+       *   layouts are 'rows' (justified rows of images), 'columns' (a masonry
+       *   layout of equal-width columns), and 'squares' (a uniform grid of
+       *   square-cropped images). The number of columns in the latter two is
+       *   the rounded value of `getMinAspectRatio`. A custom layout may be
+       *   given as a function; see `layoutEngines` for its signature.
+       */
+      layout: 'rows',
+
+      /**
+       * Type: string
+       * Default: 'greedy'
+       * Description: How images are broken up into rows. With 'greedy', a row
+       *   is closed as soon as its aspect ratio exceeds the minimum aspect
+       *   ratio. With 'optimal', the row breaks are chosen across the whole
+       *   list of images so that the height of every row is as close as
+       *   possible to the height of a row with the minimum aspect ratio.
+       */
+      layoutAlgorithm: 'greedy',
+
+      /**
+       * Type: string
+       * Default: 'vertical'
+       * Description: The direction that the grid scrolls in. With
+       *   'horizontal', the layout is turned on its side: images are packed
+       *   into columns that fill the height of the scroller, and the
+       *   container grows in width instead. That height is passed to
+       *   `getMinAspectRatio` instead of the width, and the layout follows
+       *   it when it changes. The buffers are to the left and right of the
+       *   viewport.
+       */
+      orientation: 'vertical',
+
+      /**
+       * Type: Array[Number]
+       * Default: [0.5, 0.75, 1, 1.5, 2]
+       * Description: The ladder of zoom levels that `setZoom()`, `zoomIn()`
+       *   and `zoomOut()` move along. The value returned by
+       *   `getMinAspectRatio` is divided by the factor of the current level,
+       *   so that levels above 1 show fewer, bigger images, and levels below
+       *   1 show more, smaller ones. The grid starts at the level whose
+       *   factor is 1, or else at the first level.
+       */
+      zoomLevels: [0.5, 0.75, 1, 1.5, 2],
+
+      /**
+       * Type: boolean
+       * Default: false
+       * Description: Whether the user can zoom with ctrl+wheel (which is also
+       *   what a pinch on a trackpad sends) and with a two-finger pinch on a
+       *   touch screen, over the container. The image under the pointer or
+       *   between the fingers stays in place.
+       */
+      zoomGestures: false,
+
+      /**
+       * Type: Number
+       * Default: 500
+       * Description: Transition speed in milliseconds
+       */
+      transitionSpeed: 500,
+
+      /**
+       * Type: Number
+       * Default: 3000
+       * Description: Height in pixels of images to preload in the direction
+       *   that the user is scrolling. For example, in the default case, if the
+       *   user is scrolling down, 1000px worth of images will be loaded below
+       *   the viewport.
+       */
+      primaryImageBufferHeight: 1000,
+
+      /**
+       * Type: Number
+       * Default: 100
+       * Description: Height in pixels of images to preload in the direction
+       *   that the user is NOT scrolling. For example, in the default case, if
+       *   the user is scrolling down, 300px worth of images will be loaded
+       *   above the viewport.  Images further up will be removed.
+       */
+      secondaryImageBufferHeight: 300,
+
+      /**
+       * Type: boolean
+       * Default: false
+       * Description: Whether to use an IntersectionObserver to find out when
+       *   images enter or leave the buffers, instead of checking every image
+       *   on every scroll event. Invisible sentinel elements are laid out
+       *   over each row of images, or each block of images in other layouts,
+       *   and observed with a margin of the buffer heights. This also works
+       *   in containers inside of transformed or sticky elements. Ignored in
+       *   browsers without IntersectionObserver.
+       */
+      useIntersectionObserver: false,
+
+      /**
+       * Type: boolean
+       * Default: false
+       * Description: Whether to save the first visible image and its offset
+       *   from the top of the viewport in `history.state` as the user
+       *   scrolls, and scroll back to it in `enable()`, for example when the
+       *   user comes back to the page with the back button. This works even
+       *   if the window has changed width. The browser's own scroll
+       *   restoration is turned off for the page, since it happens before
+       *   the grid has been laid out.
+       */
+      restoreScrollPosition: false,
+
+      /**
+       * Type: string
+       * Default: null
+       * Description: The key under which `restoreScrollPosition` saves the
+       *   scroll position, so that several grids on a page don't overwrite
+       *   each other's. If it isn't set, the ID of the container is used, or
+       *   `containerId` if the container has none.
+       */
+      scrollRestorationKey: null,
+
+      /**
+       * Type: Number
+       * Default: 20
+       * Description: The height in pixels of the thumbnail that should be
+       *   loaded and blurred to give the effect that images are loading out of
+       *   focus and then coming into focus.
+       */
+      thumbnailSize: 20,
+
+      /**
+       * Type: boolean
+       * Default: false
+       * Description: Whether clicking an image opens it in a full-screen
+       *   viewer, with previous and next buttons. The viewer can also be
+       *   opened with `openLightbox()`.
+       */
+      lightbox: false,
+
+      /**
+       * Type: boolean
+       * Default: false
+       * Description: Whether the grid is in selection mode, in which clicking
+       *   an image toggles whether it is selected, shift+click selects a
+       *   range of images, and ctrl+click or cmd+click adds an image to the
+       *   selection. Selected figures have the `selected` class name. This
+       *   can be changed with `setSelectionMode()`.
+       */
+      selectionMode: false,
+
+      /**
+       * Type: boolean
+       * Default: false
+       * Description: Whether to adopt figure elements that were rendered into
+       *   the container on the server, instead of creating them. Each figure
+       *   must have the figure class name and a `data-pig-filename`
+       *   attribute. Use `Pig.computeLayout` to position them.
+       */
+      hydrate: false,
+
+      /**
+       * Type: Array[Number] | null
+       * Default: null
+       * Description: The sizes (heights in pixels) at which images are
+       *   available. If given, the size of each full image is chosen
+       *   automatically: the smallest available size that is at least the
+       *   rendered height of its figure, multiplied by the device pixel ratio.
+       *   If the figure grows, for example when the window is resized or
+       *   zoomed, a larger image is loaded and swapped in. `getImageSize` is
+       *   only used if this is not given.
+       */
+      imageSizes: null,
+
+      /**
+       * Get the URL for an image with the given filename & size.
+       *
+       * @param {string} filename - The filename of the image.
+       * @param {Number} size - The size (height in pixels) of the image.
+       *
+       * @returns {string} The URL of the image at the given size.
+       */
+      urlForSize: function(filename, size) {
+        return '/img/' + size.toString(10) + '/' + filename;
+      },
+
+      /**
+       * Get the URL to load an image from once it has failed to load from the
+       * URL given by `urlForSize`, for example from another CDN. Requests to
+       * this URL are retried in the same way. Not used if null.
+       *
+       * @param {string} filename - The filename of the image.
+       * @param {Number} size - The size (height in pixels) of the image.
+       *
+       * @returns {string} The fallback URL of the image at the given size.
+       */
+      fallbackUrlForSize: null,
+
+      /**
+       * Get the URL of the video or the animated image of an item whose
+       * `type` in `imageData` is 'video' or 'animated'. The image given by
+       * `urlForSize` is shown as its poster until it plays, and whenever it
+       * doesn't.
+       *
+       * @param {string} filename - The filename of the item.
+       * @param {string} type - 'video' or 'animated'.
+       *
+       * @returns {string} The URL of the video or the animated image.
+       */
+      urlForMedia: function(filename) {
+        return '/media/' + filename;
+      },
+
+      /**
+       * Type: Number
+       * Default: 2
+       * Description: How many times to retry loading an image from the same
+       *   URL, after it has failed to load.
+       */
+      retryAttempts: 2,
+
+      /**
+       * Type: Number
+       * Default: 1000
+       * Description: The time in ms to wait before the first retry. The delay
+       *   is doubled after each retry.
+       */
+      retryDelay: 1000,
+
+      /**
+       * Type: Number
+       * Default: 6
+       * Description: The maximum number of images to load at the same time.
+       *   Other requests wait in a queue, in which thumbnails come first, and
+       *   then the images closest to the viewport, preferring those in the
+       *   direction that the user is scrolling.
+       */
+      maxConcurrentRequests: 6,
+
+      /**
+       * Type: boolean
+       * Default: false
+       * Description: Whether to load images with `fetch()` where it is
+       *   supported, so that requests for images that leave the buffer are
+       *   aborted. Otherwise, they are cancelled by clearing the `src` of the
+       *   image, which not every browser stops downloading. Images that can't
+       *   be fetched, for example from another origin that doesn't send CORS
+       *   headers, are loaded through their `src` instead, which requests
+       *   them a second time. That is why this is off by default: turn it on
+       *   when your images are served from the same origin, or with CORS
+       *   headers.
+       */
+      fetchImages: false,
+
+      /**
+       * Type: Number
+       * Default: 40
+       * Description: The height in pixels of the header above each section
+       *   of the grid, when images are grouped.
+       */
+      groupHeaderHeight: 40,
+
+      /**
+       * Type: boolean
+       * Default: true
+       * Description: Whether the header of the section that the user is
+       *   scrolling through should stick to the top of the viewport.
+       */
+      stickyGroupHeaders: true,
+
+      /**
+       * Render the content of the header above a section of the grid. Images
+       * are split into sections by the `group` key in their `imageData`, and
+       * each section is laid out separately. Headers are only shown if this
+       * function is given.
+       *
+       * @param {*} group - The group of the images in the section.
+       *
+       * @returns {string|HTMLElement} The text or the element to show in the
+       *                               header.
+       */
+      renderGroupHeader: null,
+
+      /**
+       * Type: Number
+       * Default: 0
+       * Description: The height in pixels of the caption area below each
+       *   image, which is part of the height of its figure and of the row.
+       *   The area holds an element with the `caption` class name, which
+       *   shows the `caption` of the image unless `renderFigure` fills it in.
+       *   In the horizontal orientation, the area is taken from the height of
+       *   the image instead.
+       */
+      captionHeight: 0,
+
+      /**
+       * Render the content of a new figure, such as a caption, badges, a
+       * hover overlay or action buttons. The images of the figure are always
+       * inserted below this content. Any other keys in the `imageData` of the
+       * image are passed through.
+       *
+       * @param {HTMLElement} element - The figure element.
+       * @param {object} imageData - The metadata of the image.
+       */
+      renderFigure: null,
+
+      /**
+       * Update the content rendered by `renderFigure` when a figure is reused
+       * for another image, as figures of images that left the buffers are.
+       * If `renderFigure` is given without this, figures are not reused.
+       *
+       * @param {HTMLElement} element - The figure element.
+       * @param {object} imageData - The metadata of the new image.
+       */
+      updateFigure: null,
+
+      /**
+       * Get a callback with the filename of the image
+       * which was clicked.
+       *
+       * @param {string} filename - The filename property of the image.
+       */
+      onClickHandler: null,
+
+      /**
+       * Get the minimum required aspect ratio for a valid row of images. The
+       * perfect rows are maintained by building up a row of images by adding
+       * together their aspect ratios (the aspect ratio when they are placed
+       * next to each other) until that aspect ratio exceeds the value returned
+       * by this function. Responsive reordering is achieved through changes
+       * to what this function returns at different values of the passed
+       * parameter `lastWindowWidth`. In the horizontal orientation, it is
+       * passed the height of the scroller instead, and returns the minimum
+       * ratio of the height of a column to its width.
+       *
+       * @param {Number} lastWindowWidth - The last computed width of the
+       *                                   browser window.
+       *
+       * @returns {Number} The minimum aspect ratio at this window width.
+       */
+      getMinAspectRatio: function(lastWindowWidth) {
+        if (lastWindowWidth <= 640) {
+          return 2;
+        } else if (lastWindowWidth <= 1280) {
+          return 4;
+        } else if (lastWindowWidth <= 1920) {
+          return 5;
+        }
+        return 6;
+      },
+
+      /**
+       * Get the image size (height in pixels) to use for this window width.
+       * Responsive resizing of images is achieved through changes to what this
+       * function returns at different values of the passed parameter
+       * `lastWindowWidth`.
+       *
+       * @param {Number} lastWindowWidth - The last computed width of the
+       *                                   browser window.
+       *
+       * @returns {Number} The size (height in pixels) of the images to load.
+       */
+      getImageSize: function(lastWindowWidth) {
+        if (lastWindowWidth <= 640) {
+          return 100;
+        } else if (lastWindowWidth <= 1920) {
+          return 250;
+        }
+        return 500;
+      },
+
+      /**
+       * Get the image size (height in pixels) to load in the lightbox for
+       * this window width.
+       *
+       * @param {Number} lastWindowWidth - The last computed width of the
+       *                                   browser window.
+       *
+       * @returns {Number} The size (height in pixels) of the image to load.
+       */
+      getLightboxImageSize: function(lastWindowWidth) {
+        return 500;
+      }
+    };
+
+    // We extend the default settings with the provided overrides.
+    _extend(this.settings, options || {});
+
+    // The index of the current level in `zoomLevels`.
+    this.zoomLevel = Math.max(this.settings.zoomLevels.indexOf(1), 0);
+
+    // Find the container to load images into, if it exists.
+    this.container = this.settings.container || document.getElementById(this.settings.containerId);
+    if (!this.container) {
+      console.error('Could not find element with ID ' + this.settings.containerId);
+    }
+
+    this.scroller = this.settings.scroller;
+
+    // Remember the container's inline size and role, and whether it had class
+    // and style attributes, so that we can leave the container as we found it
+    // in `destroy()`.
+    this.originalContainerHeight = this.container ? this.container.style.height : '';
+    this.originalContainerWidth = this.container ? this.container.style.width : '';
+    this.originalContainerRole = this.container ? this.container.getAttribute('role') : null;
+    this.hadContainerClass = this.container ? this.container.hasAttribute('class') : false;
+    this.hadContainerStyle = this.container ? this.container.hasAttribute('style') : false;
+
+    // To assistive technologies, the grid is a list of figures.
+    if (this.container) {
+      this.container.setAttribute('role', 'list');
+      this.container.classList.add(this.settings.classPrefix + '-container');
+      this.container.style.setProperty('--pig-transition-duration', this._getTransitionDuration());
+    }
+
+    // Our global reference for images in the grid.  Note that not all of these
+    // images are necessarily in view or loaded.
+    this.images = this._parseImageData(imageData);
+
+    // With a filter set by `setFilter()`, `this.images` only holds the images
+    // that pass it, and every image is kept here, in order.
+    this.allImages = null;
+    this.filter = null;
+
+    // Requests for images go through a queue, so that only a few load at
+    // the same time.
+    this.loader = new ImageLoader(this);
+
+    // Adopt the figures rendered on the server, rather than creating them.
+    if (this.settings.hydrate && this.container) {
+      this._hydrate();
+    }
+
+    // Add our boilerplate CSS, unless the page includes it.
+    this.addedStyle = null;
+    if (this.settings.styleMode !== 'none') {
+      this.addedStyle = _addStyle(this._getStyleRoot(), this.settings.classPrefix,
+        this.settings.styleMode, this.settings.nonce);
+    }
+
+    // Allows for chaining with `enable()`.
+    return this;
+  }
+
+  /**
+   * Computes the layout of a grid of images, without creating a Pig instance.
+   * This doesn't need `window` or `document`, so it can be used in Node, for
+   * example to render the grid on the server, or in a worker.
+   *
+   * @param {array} imageData - An array of metadata about each image, in the
+   *                            same format as the `imageData` passed to the
+   *                            constructor.
+   * @param {object} options - The layout options.
+   * @param {Number} options.width - The width of the container in pixels.
+   * @param {Number} options.minAspectRatio - The minimum aspect ratio of a
+   *                                          row, as would be returned by
+   *                                          the `getMinAspectRatio` setting.
+   * @param {Number} options.spaceBetweenImages - Defaults to 8.
+   * @param {string|function} options.layout - Defaults to 'rows'.
+   * @param {string} options.layoutAlgorithm - Defaults to 'greedy'.
+   * @param {Number} options.groupHeaderHeight - The height of the header
+   *                                             above each group of images.
+   *                                             Defaults to 0, for no
+   *                                             headers.
+   * @param {Number} options.captionHeight - The height of the caption area
+   *                                         below each image. Defaults to 0.
+   * @param {string} options.orientation - Defaults to 'vertical'.
+   * @param {Number} options.height - The height of the container in pixels,
+   *                                  in the 'horizontal' orientation.
+   *
+   * @returns {object} The `positions` of the images, each with a `width`,
+   *                   `height`, `translateX` and `translateY`, the positions
+   *                   of the `groupHeaders`, each with the `group` it belongs
+   *                   to, and the `totalHeight` of the grid, as well as its
+   *                   `totalWidth` in the 'horizontal' orientation.
+   */
+  Pig.computeLayout = function(imageData, options) {
+    const layoutOptions = {
+      spaceBetweenImages: 8,
+      layout: 'rows',
+      layoutAlgorithm: 'greedy',
+      groupHeaderHeight: 0,
+      captionHeight: 0,
+      orientation: 'vertical'
+    };
+    _extend(layoutOptions, options);
+
+    const layout = computeLayout(imageData, layoutOptions);
+    return {
+      positions: layout.positions,
+      groupHeaders: layout.groupHeaders,
+      totalWidth: layout.totalWidth,
+      totalHeight: layout.totalHeight
+    };
+  };
+
+  /**
+   * Because we may be transitioning a very large number of elements on a
+   * resize, and because we cannot reliably determine when all elements are
+   * done transitioning, we have to approximate the amount of time it will take
+   * for the browser to be expected to complete with a transition. This
+   * constant gives the scale factor to apply to the given transition time. For
+   * example, if transitionTimeoutScaleFactor is 1.5 and transition speed is
+   * given as 500ms, we will wait 750ms before assuming that we are actually
+   * done resizing.
+   *
+   * @returns {Number} Time in milliseconds before we can consider a resize to
+   *   have been completed.
+   */
+  Pig.prototype._getTransitionTimeout = function() {
+    const transitionTimeoutScaleFactor = 1.5;
+    return this.settings.transitionSpeed * transitionTimeoutScaleFactor;
+  };
+
+  /**
+   * Gives the CSS property string to set for the transition value, depending
+   * on whether or not we are transitioning.
+   *
+   * @returns {string} a value for the `transition` CSS property.
+   */
+  Pig.prototype._getTransitionString = function() {
+    if (this.isTransitioning) {
+      const duration = this._getTransitionDuration();
+      return duration + ' transform var(--pig-easing, ease), ' +
+        duration + ' opacity var(--pig-easing, ease)';
+    }
+
+    return 'none';
+  };
+
+  /**
+   * Gives the duration of transitions, from the `transitionSpeed` setting.
+   *
+   * @returns {string} a CSS time.
+   */
+  Pig.prototype._getTransitionDuration = function() {
+    return (this.settings.transitionSpeed / 1000).toString(10) + 's';
+  };
+
+  /**
+   * Gives the node that the CSS of the grid is added to, and that the
+   * lightbox is shown in: the shadow root that holds the container, if there
+   * is one, or else the document.
+   *
+   * @returns {Node} The shadow root or the document.
+   */
+  Pig.prototype._getStyleRoot = function() {
+    const root = this.container && this.container.getRootNode ? this.container.getRootNode() : null;
+    return root && root.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? root : document;
+  };
+
+  /**
+   * Computes the current value for `this.minAspectRatio`, using the
+   * `getMinAspectRatio` function defined in the settings and the zoom level.
+   * Then, `this.minAspectRatioRequiresTransition` will be set, depending on
+   * whether or not the value of this.minAspectRatio has changed.
+   */
+  Pig.prototype._recomputeMinAspectRatio = function() {
+    const oldMinAspectRatio = this.minAspectRatio;
+    this.minAspectRatio = this.settings.getMinAspectRatio(
+      this._isHorizontal() ? this.wrapperHeight : this.lastWindowWidth) / this._getZoomFactor();
+
+    if (oldMinAspectRatio !== null && oldMinAspectRatio !== this.minAspectRatio) {
+      this.minAspectRatioRequiresTransition = true;
+    } else {
+      this.minAspectRatioRequiresTransition = false;
+    }
+  };
+
+  /**
+   * Adopts the figure elements that were rendered into the container on the
+   * server, matching them to images by their `data-pig-filename` attribute.
+   * Figures that don't match any image are removed.
+   */
+  Pig.prototype._hydrate = function() {
+    const figures = this.container.querySelectorAll('.' + this.settings.classPrefix + '-figure');
+
+    [].forEach.call(figures, function(figure) {
+      const index = this._getImageIndex(figure.getAttribute('data-pig-filename'));
+      if (index === -1 || this.images[index].element) {
+        figure.parentNode.removeChild(figure);
+        return;
+      }
+
+      this.images[index].hydrate(figure);
+    }.bind(this));
+  };
+
+  /**
+   * Creates new instances of the ProgressiveImage class for each of the images
+   * defined in `imageData`.
+   *
+   * @param {array} imageData - An array of metadata about each image to
+   *                            include in the grid.
+   * @param {string} imageData[0].filename - The filename of the image.
+   * @param {string} imageData[0].aspectRatio - The aspect ratio of the image.
+   *
+   * @returns {Array[ProgressiveImage]} - An array of ProgressiveImage
+   *                                      instances that we created.
+   */
+  Pig.prototype._parseImageData = function(imageData) {
+    const progressiveImages = [];
+
+    imageData.forEach(function(image, index) {
+      const progressiveImage = new ProgressiveImage(image, index, this);
+      progressiveImages.push(progressiveImage);
+    }.bind(this));
+
+    return progressiveImages;
+  };
+
+  /**
+   * Gets the options to pass to `computeLayout`, from the settings and the
+   * current state of the grid.
+   *
+   * @returns {object} The layout options.
+   */
+  Pig.prototype._getLayoutOptions = function() {
+    return {
+      width: this.wrapperWidth,
+      minAspectRatio: this.minAspectRatio,
+      spaceBetweenImages: this.settings.spaceBetweenImages,
+      layout: this.settings.layout,
+      layoutAlgorithm: this.settings.layoutAlgorithm,
+      groupHeaderHeight: this.settings.renderGroupHeader ? this.settings.groupHeaderHeight : 0,
+      captionHeight: this.settings.captionHeight,
+      orientation: this.settings.orientation,
+      height: this.wrapperHeight
+    };
+  };
+
+  /**
+   * Whether the grid scrolls horizontally, with the `orientation` setting.
+   *
+   * @returns {boolean}
+   */
+  Pig.prototype._isHorizontal = function() {
+    return this.settings.orientation === 'horizontal';
+  };
+
+  /**
+   * Get the start of an image or a header along the axis that the grid
+   * scrolls in: its translateY, or its translateX in the horizontal
+   * orientation.
+   *
+   * @param {object} style - The style of the image or header.
+   *
+   * @returns {Number} The start, in pixels.
+   */
+  Pig.prototype._getStart = function(style) {
+    return this._isHorizontal() ? style.translateX : style.translateY;
+  };
+
+  /**
+   * Get the size of an image or a header along the axis that the grid
+   * scrolls in: its height, or its width in the horizontal orientation.
+   *
+   * @param {object} style - The style of the image or header.
+   *
+   * @returns {Number} The size, in pixels.
+   */
+  Pig.prototype._getSize = function(style) {
+    return this._isHorizontal() ? style.width : style.height;
+  };
+
+  /**
+   * Get the size of the whole grid along the axis that it scrolls in.
+   *
+   * @returns {Number} The size, in pixels.
+   */
+  Pig.prototype._getTotalSize = function() {
+    return this._isHorizontal() ? this.totalWidth : this.totalHeight;
+  };
+
+  /**
+   * Get the height that the grid fills in the horizontal orientation: that
+   * of the scroller, inside of any horizontal scrollbar. When the window is
+   * the scroller, this is the part of the viewport below the top of the
+   * container, so that a grid below a header doesn't overflow the viewport.
+   *
+   * @returns {Number} The height, in pixels.
+   */
+  Pig.prototype._getScrollerHeight = function() {
+    if (this.scroller === window) {
+      return Math.max(0, document.documentElement.clientHeight - _getOffsetTop(this.container));
+    }
+
+    return parseInt(this.scroller.clientHeight, 10);
+  };
+
+  /**
+   * Set the size of the container to that of the grid.
+   */
+  Pig.prototype._setContainerSize = function() {
+    this.container.style.height = this.totalHeight + 'px';
+    if (this._isHorizontal()) {
+      this.container.style.width = this.totalWidth + 'px';
+    }
+  };
+
+  /**
+   * Sets the style values of each image from the positions computed by
+   * `computeLayout` or `_layoutRow`.
+   *
+   * @param {array} positions - The positions of the images, by index. Images
+   *                            without a position are left alone.
+   * @param {string} transition - The valid-CSS transition string to apply.
+   */
+  Pig.prototype._applyPositions = function(positions, transition) {
+    this.layoutIndex = null;
+    positions.forEach(function(position, index) {
+
+      // This is NOT DOM manipulation.
+      this.images[index].style = {
+        width: position.width,
+        height: position.height,
+        translateX: position.translateX,
+        translateY: position.translateY,
+        transition: transition
+      };
+    }.bind(this));
+  };
+
+  /**
+   * This computes the layout of the entire grid, setting the height, width,
+   * translateX, translateY, and transtion values for each ProgessiveImage in
+   * `this.images`. These styles are set on the ProgressiveImage.style property,
+   * but are not set on the DOM.
+   *
+   * This separation of concerns (computing layout and DOM manipulation) is
+   * paramount to the performance of the PIG. While we need to manipulate the
+   * DOM every time we scroll (adding or remove images, etc.), we only need to
+   * compute the layout of the PIG on load and on resize. Therefore, this
+   * function will compute the entire grid layout but will not manipulate the
+   * DOM at all. The layout math itself is done by `computeLayout`, which
+   * doesn't read from the DOM either.
+   *
+   * All DOM manipulation occurs in `_doLayout`.
+   */
+  Pig.prototype._computeLayout = function() {
+    this.wrapperWidth = parseInt(this.container.clientWidth, 10);
+
+    // In the horizontal orientation, the columns fill the height of the
+    // scroller.
+    if (this._isHorizontal()) {
+      this.wrapperHeight = this._getScrollerHeight();
+    }
+
+    // Compute the minimum aspect ratio that should be applied to the rows.
+    this._recomputeMinAspectRatio();
+
+    // If we are not currently transitioning, and our minAspectRatio has just
+    // changed, then we mark isTransitioning true. If this is the case, then
+    // `this._getTransitionString()` will ensure that each image has a value
+    // like "0.5s ease all". This will cause images to animate as they change
+    // position. (They need to change position because the minAspectRatio has
+    // changed.) Once we determine that the transtion is probably over (using
+    // `this._getTransitionTimeout`) we unset `this.isTransitioning`, so that
+    // future calls to `_computeLayout` will set "transition: none".
+    if (this.minAspectRatioRequiresTransition) {
+      this._startTransition();
+    }
+
+    // Get the valid-CSS transition string.
+    const transition = this._getTransitionString();
+
+    const layout = computeLayout(this.images, this._getLayoutOptions());
+    this._applyPositions(layout.positions, transition);
+    this.rows = layout.rows;
+    this.totalWidth = layout.totalWidth;
+    this.totalHeight = layout.totalHeight;
+
+    // Headers that are still in use are reused, so that they are not rendered
+    // again.
+    const unusedGroupHeaders = this.groupHeaders;
+    this.groupHeaders = layout.groupHeaders.map(function(position) {
+      const header = this._getGroupHeader(position.group, unusedGroupHeaders);
+      header.style = {
+        width: position.width,
+        height: position.height,
+        translateX: position.translateX,
+        translateY: position.translateY,
+        transition: transition
+      };
+      return header;
+    }.bind(this));
+
+    unusedGroupHeaders.forEach(function(header) {
+      header.dispose();
+    });
+
+    this._emit('layout', {
+      width: this._isHorizontal() ? this.totalWidth : this.wrapperWidth,
+      totalHeight: this.totalHeight
+    });
+  };
+
+  /**
+   * Find the header for `group` among `groupHeaders`, removing it from that
+   * list, or create a new one if there is none.
+   *
+   * @param {*} group - The group of the section.
+   * @param {Array[GroupHeader]} groupHeaders - The headers that may be reused.
+   *
+   * @returns {GroupHeader} The header for the section.
+   */
+  Pig.prototype._getGroupHeader = function(group, groupHeaders) {
+    for (let i = 0; i < groupHeaders.length; i++) {
+      if (groupHeaders[i].group === group) {
+        return groupHeaders.splice(i, 1)[0];
+      }
+    }
+
+    return new GroupHeader(group, this);
+  };
+
+  /**
+   * Marks the grid as transitioning, so that images animate to their new
+   * positions the next time the layout is computed and applied, and unsets
+   * `this.isTransitioning` once the transition is probably over.
+   */
+  Pig.prototype._startTransition = function() {
+    if (this.isTransitioning) {
+      return;
+    }
+
+    this.isTransitioning = true;
+    this.transitionTimeout = setTimeout(function() {
+      this.isTransitioning = false;
+      this.transitionTimeout = null;
+    }.bind(this), this._getTransitionTimeout());
+  };
+
+  /**
+   * Checks whether any image belongs to a group.
+   *
+   * @returns {boolean} True if any image has a group.
+   */
+  Pig.prototype._hasGroups = function() {
+    return this.images.some(function(image) {
+      return image.group !== undefined;
+    });
+  };
+
+  /**
+   * Computes the total height of the rows in `this.rows`.
+   *
+   * @returns {Number} The height in pixels of the grid.
+   */
+  Pig.prototype._getRowsHeight = function() {
+    if (!this.rows.length) {
+      return 0;
+    }
+
+    // No space below the last image
+    const lastRow = this.rows[this.rows.length - 1];
+    return lastRow.translateY + lastRow.height;
+  };
+
+  /**
+   * Recomputes the layout after `removedCount` images were replaced by
+   * `insertedCount` images at `index` in `this.images`. Rather than laying
+   * out the entire grid again, as `_computeLayout` does, we only recompute
+   * the rows starting with the row in which the change occurred.
+   *
+   * Because each row is built up greedily from its first image, once one of
+   * the recomputed rows ends exactly where one of the old rows after the
+   * change begins, all of the following rows are guaranteed to be the same as
+   * they were before. At that point we stop, and simply shift the remaining
+   * rows up or down by the difference in height.
+   *
+   * If the layout has never been computed, or the container has changed
+   * width, we fall back to a full `_computeLayout`. We also do so with the
+   * 'optimal' layout algorithm, where a change to any image may move the row
+   * breaks anywhere in the grid, with layouts other than rows, and when
+   * images are grouped into sections.
+   *
+   * @param {Number} index - The index at which images were changed.
+   * @param {Number} removedCount - The number of images that were removed.
+   * @param {Number} insertedCount - The number of images that were inserted.
+   */
+  Pig.prototype._computeLayoutFrom = function(index, removedCount, insertedCount) {
+    if (!this.rows || this.settings.layout !== 'rows' || this.settings.layoutAlgorithm === 'optimal' ||
+          this._hasGroups() || parseInt(this.container.clientWidth, 10) !== this.wrapperWidth) {
+      this._computeLayout();
+      return;
+    }
+
+    const transition = this._getTransitionString();
+    const options = this._getLayoutOptions();
+    const positions = [];
+    const indexShift = insertedCount - removedCount;
+
+    // Find the row in which the change occurred. A change after the last
+    // image affects the last row, which may not have been full.
+    let rowIndex = 0;
+    while (rowIndex < this.rows.length - 1 && this.rows[rowIndex].end <= index) {
+      rowIndex++;
+    }
+
+    // The rows that come entirely after the change may be reused, once their
+    // indices have been shifted to account for the inserted and removed
+    // images.
+    const oldRows = this.rows.slice(rowIndex + 1).filter(function(row) {
+      return row.start >= index + removedCount;
+    }).map(function(row) {
+      return {
+        start: row.start + indexShift,
+        end: row.end + indexShift,
+        translateY: row.translateY,
+        height: row.height
+      };
+    });
+
+    const newRows = this.rows.slice(0, rowIndex);
+    let start = this.rows.length ? this.rows[rowIndex].start : 0;
+    let translateY = this.rows.length ? this.rows[rowIndex].translateY : 0;
+    let oldRowIndex = 0;
+
+    while (true) {
+
+      // Skip over old rows that were overlapped by the rows we've laid out.
+      while (oldRowIndex < oldRows.length && oldRows[oldRowIndex].start < start) {
+        oldRowIndex++;
+      }
+
+      // Either we're out of images, or we've realigned with the old rows, in
+      // which case the rest of the layout is unchanged, apart from its
+      // vertical position.
+      if (start >= this.images.length ||
+            (oldRowIndex < oldRows.length && oldRows[oldRowIndex].start === start)) {
+        break;
+      }
+
+      const row = _layoutRow(this.images, start, translateY, options, null, this.images.length, positions);
+      newRows.push(row);
+      start = row.end;
+      translateY += row.height + this.settings.spaceBetweenImages;
+    }
+
+    this._applyPositions(positions, transition);
+
+    // Shift the reused rows into their new position.
+    oldRows.slice(oldRowIndex).forEach(function(row) {
+      const deltaY = translateY - row.translateY;
+
+      this.images.slice(row.start, row.end).forEach(function(img) {
+        img.style.translateY += deltaY;
+        img.style.transition = transition;
+      });
+
+      row.translateY = translateY;
+      newRows.push(row);
+      translateY += row.height + this.settings.spaceBetweenImages;
+    }.bind(this));
+
+    this.rows = newRows;
+    this.totalHeight = this._getRowsHeight();
+
+    this._emit('layout', { width: this.wrapperWidth, totalHeight: this.totalHeight });
+  };
+
+  /**
+   * Update the DOM to reflect the style values of each image in the PIG,
+   * adding or removing images appropriately.
+   *
+   * PIG ensures that there are not too many images loaded into the DOM at once
+   * by maintaining a buffer region around the viewport in which images are
+   * allowed, removing all images below and above. Because all of our layout
+   * is computed using CSS transforms, removing an image above the buffer will
+   * not cause the gird to reshuffle.
+   *
+   * The primary buffer is the buffer in the direction of the user's scrolling.
+   * (Below if they are scrolling down, above if they are scrolling up.) The
+   * size of this buffer determines the experience of scrolling down the page.
+   *
+   * The secondary buffer is the buffer in the opposite direction of the user's
+   * scrolling.  The size of this buffer determines the experience of changing
+   * scroll directions. (Too small, and we have to reload a ton of images above
+   * the viewport if the user changes scroll directions.)
+   *
+   * While the entire grid has been computed, only images within the viewport,
+   * the primary buffer, and the secondary buffer will exist in the DOM.
+   *
+   *
+   *             Illustration: the primary and secondary buffers
+   *
+   *
+   * +---------------------------+
+   * |                           |
+   * |                           |
+   * |                           |
+   * |                           |
+   * + - - - - - - - - - - - - - +                   -------
+   * |                           |                      A
+   * |     Secondary Buffer      |   this.setting.secondaryImageBufferHeight
+   * |                           |                      V
+   * +---------------------------+                   -------
+   * |                           |                      A
+   * |                           |                      |
+   * |                           |                      |
+   * |        Viewport           |              window.innerHeight
+   * |                           |                      |
+   * |                           |                      |
+   * |                           |                      V
+   * +---------------------------+                   -------
+   * |                           |                      A
+   * |                           |                      |
+   * |                           |                      |
+   * |                           |                      |
+   * |      Primary Buffer       |    this.settings.primaryImageBufferHeight
+   * |                           |                      |
+   * |                           |                      |
+   * |                           |                      |
+   * |                           |                      V
+   * + - - - - - - - - - - - - - +                   -------
+   * |                           |
+   * |    (Scroll direction)     |
+   * |            |              |
+   * |            |              |
+   * |            V              |
+   * |                           |
+   *
+   */
+  Pig.prototype._doLayout = function() {
+
+    // Set the container size
+    this._setContainerSize();
+
+    // Now we compute the location of the top and bottom buffers:
+    const buffers = this._getBufferHeights();
+    this._updateViewport();
+
+    // This is the top of the top buffer. If the bottom of an image is above
+    // this line, it will be removed.
+    const minTranslateYPlusHeight = this.viewportTop - buffers.top;
+
+    // This is the bottom of the bottom buffer.  If the top of an image is
+    // below this line, it will be removed.
+    const maxTranslateY = this.viewportBottom + buffers.bottom;
+
+    // The layout may have changed, so the sentinels have to follow it.
+    if (this.observer) {
+      this._updateSentinels(minTranslateYPlusHeight, maxTranslateY);
+    }
+
+    // Rather than looping over every image, we find the images inside our
+    // buffers with a binary search, remove the images on the page that are no
+    // longer inside of them, and insert the ones that are new. Images that
+    // stay on the page only need updating if the layout has changed.
+    const layoutChanged = !this.layoutIndex;
+    const imagesInBuffers = this._getImagesInRange(minTranslateYPlusHeight, maxTranslateY);
+    const isInBuffers = new Set(imagesInBuffers);
+
+    this.visibleImages.slice().forEach(function(image) {
+      if (!isInBuffers.has(image)) {
+        image.hide();
+      }
+    });
+    imagesInBuffers.forEach(function(image) {
+      if (layoutChanged || !image.existsOnPage) {
+        image.load();
+      }
+    });
+
+    this._updateFocusedIndex();
+    this._layoutGroupHeaders();
+    if (!this.mediaObserver) {
+      this._updateMediaInViewport();
+    }
+  };
+
+  /**
+   * Play the videos and animated images on the page that are at least
+   * partially in the viewport, and pause the others, when there is no
+   * IntersectionObserver to tell us.
+   */
+  Pig.prototype._updateMediaInViewport = function() {
+    this.visibleImages.forEach(function(image) {
+      if (image.type !== 'image') {
+        const start = this._getStart(image.style);
+        image.isInViewport = start + this._getSize(image.style) > this.viewportTop && start < this.viewportBottom;
+        image._updatePlayback();
+      }
+    }.bind(this));
+  };
+
+  /**
+   * Create the callback of the IntersectionObserver that watches videos and
+   * animated images, and return it.
+   *
+   * @returns {function} The callback, which plays the media that entered the
+   *                     viewport and pauses those that left it.
+   */
+  Pig.prototype._getOnMediaIntersection = function() {
+    return function(entries) {
+      entries.forEach(function(entry) {
+        const image = this.visibleImages.find(function(visibleImage) {
+          return visibleImage.element === entry.target;
+        });
+        if (image) {
+          image.isInViewport = entry.isIntersecting;
+          image._updatePlayback();
+        }
+      }.bind(this));
+    }.bind(this);
+  };
+
+  /**
+   * Whether the user has asked for reduced motion, in which case videos and
+   * animated images are only shown as their still poster.
+   *
+   * @returns {boolean}
+   */
+  Pig.prototype._prefersReducedMotion = function() {
+    return !!(this.reducedMotionQuery && this.reducedMotionQuery.matches);
+  };
+
+  /**
+   * Find the images that are at least partially between two lines, using the
+   * layout index. Since no image is taller than the tallest one, only images
+   * whose top is within that height above the range need to be checked.
+   *
+   * @param {Number} minY - The top of the range, relative to the container.
+   * @param {Number} maxY - The bottom of the range.
+   *
+   * @returns {Array[ProgressiveImage]} The images in the range, sorted by
+   *                                    translateY.
+   */
+  Pig.prototype._getImagesInRange = function(minY, maxY) {
+    const layoutIndex = this._getLayoutIndex();
+    const images = [];
+
+    for (let i = _lowerBound(layoutIndex.tops, minY - layoutIndex.maxHeight);
+         i < layoutIndex.tops.length && layoutIndex.tops[i] <= maxY; i++) {
+      const image = this.images[layoutIndex.order[i]];
+      if (this._getStart(image.style) + this._getSize(image.style) >= minY) {
+        images.push(image);
+      }
+    }
+
+    return images;
+  };
+
+  /**
+   * Get the layout index, building it if the layout has changed since it was
+   * last built. With the rows layout, the images are already sorted by
+   * translateY, so only other layouts need sorting. In the horizontal
+   * orientation, the index is by translateX and width instead.
+   *
+   * @returns {object} The `order` of the indices of the images, sorted by
+   *                   translateY, the `tops` of the images in that order,
+   *                   and the `maxHeight` of any image.
+   */
+  Pig.prototype._getLayoutIndex = function() {
+    if (this.layoutIndex) {
+      return this.layoutIndex;
+    }
+
+    const images = this.images;
+    const order = new Array(images.length);
+    const starts = new Float64Array(images.length);
+    let isSorted = true;
+    let maxHeight = 0;
+    for (let i = 0; i < images.length; i++) {
+      order[i] = i;
+      starts[i] = this._getStart(images[i].style);
+      isSorted = isSorted && (i === 0 || starts[i] >= starts[i - 1]);
+      maxHeight = Math.max(maxHeight, this._getSize(images[i].style));
+    }
+
+    if (!isSorted) {
+      order.sort(function(a, b) {
+        return starts[a] - starts[b];
+      });
+    }
+
+    const tops = new Float64Array(images.length);
+    for (let i = 0; i < order.length; i++) {
+      tops[i] = starts[order[i]];
+    }
+
+    this.layoutIndex = {
+      order: order,
+      tops: tops,
+      maxHeight: maxHeight
+    };
+    return this.layoutIndex;
+  };
+
+  /**
+   * Get the heights of the buffers above and below the viewport, in which
+   * images are loaded, depending on the direction that the user is
+   * scrolling.
+   *
+   * @returns {object} The `top` and `bottom` buffer heights.
+   */
+  Pig.prototype._getBufferHeights = function() {
+    return {
+      top: (this.scrollDirection === 'up') ?
+        this.settings.primaryImageBufferHeight :
+        this.settings.secondaryImageBufferHeight,
+      bottom: (this.scrollDirection === 'down') ?
+        this.settings.secondaryImageBufferHeight :
+        this.settings.primaryImageBufferHeight
+    };
+  };
+
+  /**
+   * Get the current scroll position of the scroller, along the axis that the
+   * grid scrolls in.
+   *
+   * @returns {Number} The scroll position, in pixels.
+   */
+  Pig.prototype._getScrollOffset = function() {
+    if (this._isHorizontal()) {
+      return this.scroller === window ? window.pageXOffset : this.scroller.scrollLeft;
+    }
+    return this.scroller === window ? window.pageYOffset : this.scroller.scrollTop;
+  };
+
+  /**
+   * Compute the top and bottom of the viewport, relative to the container.
+   * On the scroll path, this uses the last scroll position and the offset of
+   * the container in the page. With the IntersectionObserver, which doesn't
+   * keep track of the scroll position, it is measured from the bounding
+   * rectangles of the container and the scroller, which also works inside of
+   * transformed elements. In the horizontal orientation, the left and right
+   * of the viewport are always measured in that way.
+   */
+  Pig.prototype._updateViewport = function() {
+    if (this._isHorizontal()) {
+      const scrollerWidth = this.scroller === window ? window.innerWidth : this.scroller.offsetWidth;
+      const scrollerLeft = this.scroller === window ? 0 : this.scroller.getBoundingClientRect().left;
+      this.viewportTop = scrollerLeft - this.container.getBoundingClientRect().left;
+      this.viewportBottom = this.viewportTop + scrollerWidth;
+      return;
+    }
+
+    const scrollerHeight = this.scroller === window ? window.innerHeight : this.scroller.offsetHeight;
+
+    if (this.observer) {
+      const scrollerTop = this.scroller === window ? 0 : this.scroller.getBoundingClientRect().top;
+      this.viewportTop = scrollerTop - this.container.getBoundingClientRect().top;
+    } else {
+      this.viewportTop = this.latestYOffset - _getOffsetTop(this.container);
+    }
+    this.viewportBottom = this.viewportTop + scrollerHeight;
+  };
+
+  /**
+   * If the image in the tab order was removed from the DOM, the first image
+   * that is still there takes its place, so that the grid can still be
+   * reached with the tab key.
+   */
+  Pig.prototype._updateFocusedIndex = function() {
+    const focusedImage = this.images[this.focusedIndex];
+    if (!focusedImage || !focusedImage.existsOnPage) {
+      let firstImage = null;
+      this.visibleImages.forEach(function(image) {
+        if (!firstImage || image.index < firstImage.index) {
+          firstImage = image;
+        }
+      });
+
+      if (firstImage) {
+        this._setFocusedIndex(firstImage.index);
+      }
+    }
+  };
+
+  /**
+   * Insert the group headers that are inside of the buffers, and remove the
+   * others, in the same way as images. The header of the section that is at
+   * the top of the viewport may be stuck to the top of the viewport, until
+   * the bottom of its section pushes it up. In the horizontal orientation,
+   * the headers are to the left of their sections, and stick to the left of
+   * the viewport.
+   */
+  Pig.prototype._layoutGroupHeaders = function() {
+    const buffers = this._getBufferHeights();
+    const minTranslateYPlusHeight = this.viewportTop - buffers.top;
+    const maxTranslateY = this.viewportBottom + buffers.bottom;
+
+    this.groupHeaders.forEach(function(header, index) {
+      const height = this._getSize(header.style);
+      let translateY = this._getStart(header.style);
+
+      if (this.settings.stickyGroupHeaders) {
+        const nextHeader = this.groupHeaders[index + 1];
+        const sectionBottom = nextHeader ?
+          this._getStart(nextHeader.style) - this.settings.spaceBetweenImages :
+          this._getTotalSize();
+        translateY = Math.max(translateY, Math.min(this.viewportTop, sectionBottom - height));
+      }
+
+      if (translateY + height < minTranslateYPlusHeight || translateY > maxTranslateY) {
+        header.hide();
+      } else {
+        header.load(translateY);
+      }
+    }.bind(this));
+  };
+
+  /**
+   * Create our onScroll handler and return it.
+   *
+   * @returns {function} Our optimized onScroll handler that we should attach to.
+   */
+  Pig.prototype._getOnScroll = function() {
+    const _this = this;
+
+    /**
+     * This function is called on scroll. It computes variables about the page
+     * position and scroll direction, and then calls a _doLayout guarded by a
+     * window.requestAnimationFrame.
+     *
+     * We use the boolean variable _this.inRAF to ensure that we don't overload
+     * the number of layouts we perform by starting another layout while we are
+     * in the middle of doing one.
+     */
+    const onScroll = function() {
+      // Compute the scroll direction using the latestYOffset and the
+      // previousYOffset
+      const newYOffset = _this._getScrollOffset();
+      _this.previousYOffset = _this.latestYOffset || newYOffset;
+      _this.latestYOffset = newYOffset;
+      _this.scrollDirection = (_this.latestYOffset > _this.previousYOffset) ? 'down' : 'up';
+
+      // Call _this.doLayout, guarded by window.requestAnimationFrame
+      if (!_this.inRAF) {
+        _this.inRAF = true;
+        _this.scrollRAF = window.requestAnimationFrame(function() {
+          if (_this.observer) {
+            // The observer inserts and removes images, so only the sticky
+            // group headers have to move.
+            _this._updateViewport();
+            _this._layoutGroupHeaders();
+          } else {
+            _this._doLayout();
+          }
+          _this.inRAF = false;
+        });
+      }
+    };
+
+    return onScroll;
+  };
+
+  /**
+   * Create our IntersectionObserver callback and return it.
+   *
+   * @returns {function} The callback, which inserts and removes the images
+   *                     of the blocks whose sentinels entered or left the
+   *                     buffers.
+   */
+  Pig.prototype._getOnIntersection = function() {
+    return function(entries) {
+      this._updateViewport();
+
+      entries.forEach(function(entry) {
+        const block = this.blocks[this.sentinelIndices.get(entry.target)];
+        if (!block || block.isVisible === entry.isIntersecting) {
+          return;
+        }
+
+        // A block that enters the buffers below the middle of the viewport
+        // means that the user is scrolling down.
+        if (entry.isIntersecting && entry.rootBounds) {
+          const rootMiddle = this._isHorizontal() ?
+            entry.rootBounds.left + entry.rootBounds.width / 2 :
+            entry.rootBounds.top + entry.rootBounds.height / 2;
+          const blockStart = this._isHorizontal() ? entry.boundingClientRect.left : entry.boundingClientRect.top;
+          this.scrollDirection = blockStart > rootMiddle ? 'down' : 'up';
+        }
+
+        block.isVisible = entry.isIntersecting;
+        for (let i = block.start; i < block.end && i < this.images.length; i++) {
+          if (block.isVisible) {
+            this.images[i].load();
+          } else {
+            this.images[i].hide();
+          }
+        }
+      }.bind(this));
+
+      this._updateFocusedIndex();
+
+      // The buffer heights depend on the scroll direction.
+      if (this.scrollDirection !== this.observerScrollDirection) {
+        this._createObserver();
+      }
+    }.bind(this);
+  };
+
+  /**
+   * Create the IntersectionObserver, with a root margin of the buffer heights
+   * for the current scroll direction, and observe every sentinel. This
+   * replaces any earlier observer, since the margin can't be changed.
+   */
+  Pig.prototype._createObserver = function() {
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+
+    const buffers = this._getBufferHeights();
+    this.observerScrollDirection = this.scrollDirection;
+    this.observer = new IntersectionObserver(this.onIntersection, {
+      root: this.scroller === window ? null : this.scroller,
+      rootMargin: this._isHorizontal() ?
+        '0px ' + buffers.bottom + 'px 0px ' + buffers.top + 'px' :
+        buffers.top + 'px 0px ' + buffers.bottom + 'px 0px'
+    });
+    this.sentinels.forEach(function(sentinel) {
+      this.observer.observe(sentinel);
+    }.bind(this));
+  };
+
+  /**
+   * Split the images into the blocks that the sentinels are laid out over:
+   * each row with the rows layout, and otherwise runs of
+   * `SENTINEL_BLOCK_SIZE` consecutive images.
+   *
+   * @returns {array} The blocks, each with the `start` and `end` indices of
+   *                  its images, and the `top` and `bottom` of their bounding
+   *                  box, or its left and right in the horizontal
+   *                  orientation.
+   */
+  Pig.prototype._getBlocks = function() {
+    if (this.rows) {
+      return this.rows.map(function(row) {
+        return {
+          start: row.start,
+          end: row.end,
+          top: row.translateY,
+          bottom: row.translateY + row.height
+        };
+      });
+    }
+
+    const blocks = [];
+    for (let start = 0; start < this.images.length; start += SENTINEL_BLOCK_SIZE) {
+      const block = {
+        start: start,
+        end: Math.min(start + SENTINEL_BLOCK_SIZE, this.images.length),
+        top: Infinity,
+        bottom: -Infinity
+      };
+      for (let i = block.start; i < block.end; i++) {
+        const style = this.images[i].style;
+        block.top = Math.min(block.top, this._getStart(style));
+        block.bottom = Math.max(block.bottom, this._getStart(style) + this._getSize(style));
+      }
+      blocks.push(block);
+    }
+    return blocks;
+  };
+
+  /**
+   * Lay out a sentinel over each block of images, adding and removing
+   * sentinels as the number of blocks changes. The observer notices when a
+   * sentinel that moved enters or leaves the buffers.
+   *
+   * @param {Number} minTranslateYPlusHeight - The top of the top buffer.
+   * @param {Number} maxTranslateY - The bottom of the bottom buffer.
+   */
+  Pig.prototype._updateSentinels = function(minTranslateYPlusHeight, maxTranslateY) {
+    const blocks = this._getBlocks();
+
+    while (this.sentinels.length < blocks.length) {
+      const sentinel = document.createElement('div');
+      sentinel.className = this.settings.classPrefix + '-sentinel';
+      sentinel.setAttribute('aria-hidden', 'true');
+      this.sentinelIndices.set(sentinel, this.sentinels.length);
+      this.sentinels.push(sentinel);
+      this.container.appendChild(sentinel);
+      this.observer.observe(sentinel);
+    }
+    while (this.sentinels.length > blocks.length) {
+      const sentinel = this.sentinels.pop();
+      this.sentinelIndices.delete(sentinel);
+      this.observer.unobserve(sentinel);
+      this.container.removeChild(sentinel);
+    }
+
+    blocks.forEach(function(block, index) {
+      // `_doLayout()` inserts or removes the images of the block in the
+      // same way, so the observer only has to act once this changes.
+      block.isVisible = block.bottom >= minTranslateYPlusHeight && block.top <= maxTranslateY;
+
+      const sentinel = this.sentinels[index];
+      if (this._isHorizontal()) {
+        sentinel.style.width = (block.bottom - block.top) + 'px';
+        sentinel.style.height = '1px';
+        sentinel.style.transform = 'translate3d(' + block.top + 'px, 0, 0)';
+      } else {
+        sentinel.style.height = (block.bottom - block.top) + 'px';
+        sentinel.style.transform = 'translate3d(0, ' + block.top + 'px, 0)';
+      }
+    }.bind(this));
+    this.blocks = blocks;
+  };
+
+  /**
+   * Disconnect the IntersectionObserver and remove the sentinels.
+   */
+  Pig.prototype._stopObserving = function() {
+    this.observer.disconnect();
+    this.observer = null;
+
+    this.sentinels.forEach(function(sentinel) {
+      this.container.removeChild(sentinel);
+    }.bind(this));
+    this.sentinels = [];
+    this.sentinelIndices = new Map();
+    this.blocks = [];
+  };
+
+  /**
+   * Enable scroll and resize handlers, and run a complete layout computation /
+   * application.
+   *
+   * @returns {object} The Pig instance, for easy chaining with the constructor.
+   */
+  Pig.prototype.enable = function() {
+    if (this.isEnabled) {
+      return this;
+    }
+
+    this.isEnabled = true;
+    this.onScroll = this._getOnScroll();
+
+    // With an IntersectionObserver, we only need scroll events to move the
+    // sticky group headers.
+    if (this.settings.useIntersectionObserver && 'IntersectionObserver' in window) {
+      this.onIntersection = this._getOnIntersection();
+      this._createObserver();
+    }
+    if (!this.observer || this.settings.renderGroupHeader) {
+      this.scroller.addEventListener('scroll', this.onScroll);
+    }
+
+    this.onKeyDown = this._getOnKeyDown();
+    this.container.addEventListener('keydown', this.onKeyDown);
+
+    // The wheel and touch handlers must be able to stop the browser from
+    // zooming the page, so they can't be passive.
+    if (this.settings.zoomGestures) {
+      this.onWheel = this._getOnWheel();
+      this.onTouchMove = this._getOnTouchMove();
+      this.onTouchEnd = function() {
+        this.pinchDistance = null;
+      }.bind(this);
+      this.container.addEventListener('wheel', this.onWheel, { passive: false });
+      this.container.addEventListener('touchmove', this.onTouchMove, { passive: false });
+      this.container.addEventListener('touchend', this.onTouchEnd);
+    }
+
+    // Videos and animated images only play while they are in the viewport,
+    // rather than in the buffers around it. Without an IntersectionObserver,
+    // `_doLayout()` checks which of them are in the viewport instead.
+    if ('IntersectionObserver' in window) {
+      this.mediaObserver = new IntersectionObserver(this._getOnMediaIntersection(), {
+        root: this.scroller === window ? null : this.scroller
+      });
+      this.visibleImages.forEach(function(image) {
+        image._observeMedia();
+      });
+    }
+
+    // Media stop or start playing when the user changes their motion
+    // preference.
+    this.reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    if (this.reducedMotionQuery && this.reducedMotionQuery.addEventListener) {
+      this.onReducedMotionChange = function() {
+        this.visibleImages.forEach(function(image) {
+          image._updatePlayback();
+        });
+      }.bind(this);
+      this.reducedMotionQuery.addEventListener('change', this.onReducedMotionChange);
+    }
+
+    this.onScroll();
+    this._computeLayout();
+    if (this.settings.restoreScrollPosition) {
+      this._enableScrollRestoration();
+    }
+    this._doLayout();
+
+    this.onResize = function() {
+      this.lastWindowWidth = this.scroller === window ? window.innerWidth : this.scroller.offsetWidth;
+      this._emit('resize', { width: this.lastWindowWidth });
+      this._relayout();
+    }.bind(this);
+    optimizedResize.add(this.onResize);
+
+    // In the horizontal orientation, the layout depends on the height of the
+    // scroller, which can change without the window being resized.
+    if (this._isHorizontal() && this.scroller !== window && 'ResizeObserver' in window) {
+      this.scrollerHeight = this._getScrollerHeight();
+      this.resizeObserver = new ResizeObserver(function() {
+        const scrollerHeight = this._getScrollerHeight();
+        if (scrollerHeight !== this.scrollerHeight) {
+          this.scrollerHeight = scrollerHeight;
+          this.onResize();
+        }
+      }.bind(this));
+      this.resizeObserver.observe(this.scroller);
+    }
+
+    return this;
+  };
+
+  /**
+   * Scroll back to the position saved in the history entry, and start saving
+   * the position as the user scrolls. The position is saved once the user
+   * stops scrolling, rather than on every scroll event, since browsers limit
+   * how often the history state can be replaced, and when the user leaves
+   * the page.
+   */
+  Pig.prototype._enableScrollRestoration = function() {
+    manualScrollRestoration.add();
+
+    const position = _readHistoryState(this._getScrollPositionKey());
+    const index = position ? this._getImageIndex(position.filename) : -1;
+    if (index !== -1) {
+      // The container must be tall enough before we can scroll to the image.
+      this._setContainerSize();
+      this._restoreScrollAnchor({
+        image: this.images[index],
+        offset: position.offset
+      });
+    }
+
+    this.onScrollForRestoration = function() {
+      clearTimeout(this.saveScrollPositionTimeout);
+      this.saveScrollPositionTimeout = setTimeout(this.saveScrollPosition, 250);
+    }.bind(this);
+    this.saveScrollPosition = function() {
+      clearTimeout(this.saveScrollPositionTimeout);
+      this.saveScrollPositionTimeout = null;
+
+      const anchor = this._getScrollAnchor();
+      _writeHistoryState(this._getScrollPositionKey(), anchor ? {
+        filename: anchor.image.filename,
+        offset: anchor.offset
+      } : null);
+    }.bind(this);
+
+    this.scroller.addEventListener('scroll', this.onScrollForRestoration);
+    window.addEventListener('pagehide', this.saveScrollPosition);
+  };
+
+  /**
+   * Stop saving the scroll position. Once no grid on the page restores its
+   * scroll position, the browser's own scroll restoration is turned back on.
+   */
+  Pig.prototype._disableScrollRestoration = function() {
+    // In a single-page app, the page may not be hidden when the grid goes
+    // away, so save a position that is still waiting for the scroll to end.
+    if (this.saveScrollPositionTimeout) {
+      this.saveScrollPosition();
+    }
+    this.scroller.removeEventListener('scroll', this.onScrollForRestoration);
+    window.removeEventListener('pagehide', this.saveScrollPosition);
+    this.onScrollForRestoration = null;
+    this.saveScrollPosition = null;
+    manualScrollRestoration.remove();
+  };
+
+  /**
+   * Get the key under which the scroll position of this grid is saved, so
+   * that several grids on a page don't overwrite each other's.
+   *
+   * @returns {string} The key.
+   */
+  Pig.prototype._getScrollPositionKey = function() {
+    const key = this.settings.scrollRestorationKey ||
+      (this.container && this.container.id) || this.settings.containerId;
+    return 'pig-scroll-position-' + key;
+  };
+
+  /**
+   * Remove the scroll and resize listeners of this instance. Other Pig
+   * instances on the page are not affected.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.disable = function() {
+    if (!this.isEnabled) {
+      return this;
+    }
+
+    this.scroller.removeEventListener('scroll', this.onScroll);
+    this.container.removeEventListener('keydown', this.onKeyDown);
+    optimizedResize.remove(this.onResize);
+
+    if (this.onWheel) {
+      this.container.removeEventListener('wheel', this.onWheel);
+      this.container.removeEventListener('touchmove', this.onTouchMove);
+      this.container.removeEventListener('touchend', this.onTouchEnd);
+      this.onWheel = null;
+      this.onTouchMove = null;
+      this.onTouchEnd = null;
+      this.pinchDistance = null;
+    }
+
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+
+    if (this.onReducedMotionChange) {
+      this.reducedMotionQuery.removeEventListener('change', this.onReducedMotionChange);
+      this.onReducedMotionChange = null;
+    }
+
+    // Media that are playing are paused until the grid is enabled again.
+    if (this.mediaObserver) {
+      this.mediaObserver.disconnect();
+      this.mediaObserver = null;
+    }
+    this.visibleImages.forEach(function(image) {
+      image.isInViewport = false;
+      image._updatePlayback();
+    });
+
+    if (this.observer) {
+      this._stopObserving();
+    }
+
+    if (this.onScrollForRestoration) {
+      this._disableScrollRestoration();
+    }
+
+    // Cancel any layout that was scheduled by a scroll event.
+    if (this.inRAF) {
+      window.cancelAnimationFrame(this.scrollRAF);
+      this.inRAF = false;
+    }
+
+    this.isEnabled = false;
+    return this;
+  };
+
+  /**
+   * Tear down the grid completely: remove all listeners, cancel any pending
+   * timeouts and image requests, remove every figure and the injected CSS,
+   * and leave the container as it was before the grid was created. The
+   * instance may not be used again afterwards.
+   */
+  Pig.prototype.destroy = function() {
+    this.disable();
+
+    if (this.transitionTimeout) {
+      clearTimeout(this.transitionTimeout);
+      this.transitionTimeout = null;
+      this.isTransitioning = false;
+    }
+
+    if (this.lightbox) {
+      this.lightbox.destroy();
+      this.lightbox = null;
+    }
+
+    (this.allImages || this.images).forEach(function(image) {
+      image.dispose();
+    });
+    this.groupHeaders.forEach(function(header) {
+      header.dispose();
+    });
+    this.images = [];
+    this.layoutIndex = null;
+    this.allImages = null;
+    this.groupHeaders = [];
+    this.figurePool = [];
+    this.rows = null;
+
+    if (this.addedStyle) {
+      _removeStyle(this.addedStyle);
+    }
+    this.addedStyle = null;
+
+    if (this.container) {
+      this.container.style.height = this.originalContainerHeight;
+      this.container.style.width = this.originalContainerWidth;
+      if (this.originalContainerRole === null) {
+        this.container.removeAttribute('role');
+      } else {
+        this.container.setAttribute('role', this.originalContainerRole);
+      }
+      this.container.classList.remove(this.settings.classPrefix + '-container');
+      this.container.style.removeProperty('--pig-transition-duration');
+
+      // Setting a class or a style leaves an attribute behind, even once it
+      // is empty again.
+      if (!this.hadContainerClass && !this.container.getAttribute('class')) {
+        this.container.removeAttribute('class');
+      }
+      if (!this.hadContainerStyle && !this.container.getAttribute('style')) {
+        this.container.removeAttribute('style');
+      }
+    }
+
+    this.eventHandlers = {};
+  };
+
+  /**
+   * Add a handler for an event. The events are:
+   *
+   *   - 'thumbnailload': The thumbnail of an image has loaded.
+   *   - 'imageload': The full image has loaded.
+   *   - 'imageerror': The thumbnail or the full image failed to load, after
+   *     every retry and the fallback URL. Handlers are also passed the
+   *     `filename` and the requested `size` of the image.
+   *   - 'show': An image has entered the buffer, and was added to the DOM.
+   *   - 'hide': An image has left the buffer, and was removed from the DOM.
+   *   - 'click': An image was clicked.
+   *   - 'lightboxopen': The lightbox was opened on an image.
+   *   - 'lightboxchange': The lightbox moved to another image.
+   *   - 'lightboxclose': The lightbox was closed on an image.
+   *   - 'selectionchange': Images were selected or deselected. Handlers are
+   *     passed the new `selection`, as returned by `getSelection()`.
+   *   - 'layout': The layout of the grid was computed.
+   *   - 'resize': The window or the scroller was resized.
+   *   - 'zoom': The zoom level changed. Handlers are passed the index of the
+   *     new `level` in `zoomLevels`, and its `factor`.
+   *
+   * Handlers of image events are passed an object with the `image` (the
+   * ProgressiveImage), its `index`, its `data` (from `imageData`), and the
+   * DOM `event`, if there is one. Handlers of 'layout' are passed the
+   * container `width` and the `totalHeight` of the grid, and handlers of
+   * 'resize' the new `width`.
+   *
+   * @param {string} eventName - The name of the event.
+   * @param {function} handler - The function to call when the event occurs.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.on = function(eventName, handler) {
+    if (!this.eventHandlers[eventName]) {
+      this.eventHandlers[eventName] = [];
+    }
+
+    this.eventHandlers[eventName].push(handler);
+    return this;
+  };
+
+  /**
+   * Remove a handler that was added with `on()`. If no handler is given, all
+   * of the handlers for the event are removed.
+   *
+   * @param {string} eventName - The name of the event.
+   * @param {function} handler - The handler to remove.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.off = function(eventName, handler) {
+    if (!handler) {
+      delete this.eventHandlers[eventName];
+    } else if (this.eventHandlers[eventName]) {
+      this.eventHandlers[eventName] = this.eventHandlers[eventName].filter(function(existingHandler) {
+        return existingHandler !== handler;
+      });
+    }
+
+    return this;
+  };
+
+  /**
+   * Call each of the handlers for an event.
+   *
+   * @param {string} eventName - The name of the event.
+   * @param {object} detail - The object to pass to each handler.
+   */
+  Pig.prototype._emit = function(eventName, detail) {
+    // Copy the list, in case a handler adds or removes handlers.
+    (this.eventHandlers[eventName] || []).slice().forEach(function(handler) {
+      handler.call(this, detail);
+    }.bind(this));
+  };
+
+  /**
+   * Open the full-screen viewer on an image.
+   *
+   * @param {string|Number} filenameOrIndex - The filename or the index of the
+   *                                          image.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.openLightbox = function(filenameOrIndex) {
+    const index = this._getImageIndex(filenameOrIndex);
+    if (index === -1) {
+      console.error('Could not find image ' + filenameOrIndex);
+      return this;
+    }
+
+    if (!this.lightbox) {
+      this.lightbox = new Lightbox(this);
+    }
+
+    this.lightbox.open(index);
+    return this;
+  };
+
+  /**
+   * Close the full-screen viewer, scrolling the grid so that the last image
+   * viewed is in view.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.closeLightbox = function() {
+    if (this.lightbox) {
+      this.lightbox.close();
+    }
+
+    return this;
+  };
+
+  /**
+   * Turn selection mode on or off. The selection is kept either way.
+   *
+   * @param {boolean} selectionMode - Whether to turn selection mode on.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.setSelectionMode = function(selectionMode) {
+    this.settings.selectionMode = selectionMode;
+    this.selectionAnchor = null;
+    return this;
+  };
+
+  /**
+   * Get the selected images.
+   *
+   * @returns {array} The metadata from `imageData` of each selected image, in
+   *                  the order of the grid.
+   */
+  Pig.prototype.getSelection = function() {
+    return this.images.filter(function(image) {
+      return image.isSelected;
+    }).map(function(image) {
+      return image.data;
+    });
+  };
+
+  /**
+   * Add images to the selection.
+   *
+   * @param {string|Number|array} filenamesOrIndices - The filename or the
+   *                                                   index of an image, or
+   *                                                   an array of them.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.select = function(filenamesOrIndices) {
+    return this._setSelected(this._getImages(filenamesOrIndices), true);
+  };
+
+  /**
+   * Remove images from the selection.
+   *
+   * @param {string|Number|array} filenamesOrIndices - The filename or the
+   *                                                   index of an image, or
+   *                                                   an array of them.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.deselect = function(filenamesOrIndices) {
+    return this._setSelected(this._getImages(filenamesOrIndices), false);
+  };
+
+  /**
+   * Deselect every image.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.clearSelection = function() {
+    this.selectionAnchor = null;
+    return this._setSelected(this.images, false);
+  };
+
+  /**
+   * Find the images with the given filenames or indices, ignoring any that
+   * don't exist.
+   *
+   * @param {string|Number|array} filenamesOrIndices - The filename or the
+   *                                                   index of an image, or
+   *                                                   an array of them.
+   *
+   * @returns {Array[ProgressiveImage]} The images.
+   */
+  Pig.prototype._getImages = function(filenamesOrIndices) {
+    if (!Array.isArray(filenamesOrIndices)) {
+      filenamesOrIndices = [filenamesOrIndices];
+    }
+
+    return filenamesOrIndices.map(this._getImageIndex.bind(this)).filter(function(index) {
+      return index !== -1;
+    }).map(function(index) {
+      return this.images[index];
+    }.bind(this));
+  };
+
+  /**
+   * Select or deselect images, emitting 'selectionchange' if that changed
+   * anything.
+   *
+   * @param {Array[ProgressiveImage]} images - The images.
+   * @param {boolean} isSelected - Whether to select them.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype._setSelected = function(images, isSelected) {
+    let changed = false;
+    images.forEach(function(image) {
+      if (image.isSelected !== isSelected) {
+        image.setSelected(isSelected);
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      this._emit('selectionchange', { selection: this.getSelection() });
+    }
+
+    return this;
+  };
+
+  /**
+   * Update the selection when an image is clicked in selection mode.
+   *
+   * @param {ProgressiveImage} image - The image that was clicked.
+   * @param {Event} event - The click, or the keydown if the image was
+   *                        activated with the keyboard.
+   */
+  Pig.prototype._selectOnClick = function(image, event) {
+    const anchor = this.selectionAnchor;
+
+    if (event && event.shiftKey && anchor && this.images[anchor.index] === anchor) {
+      // Select every image between the anchor and this one.
+      const start = Math.min(anchor.index, image.index);
+      const end = Math.max(anchor.index, image.index) + 1;
+      this._setSelected(this.images.slice(start, end), true);
+      return;
+    }
+
+    if (event && (event.ctrlKey || event.metaKey)) {
+      this._setSelected([image], true);
+    } else {
+      this._setSelected([image], !image.isSelected);
+    }
+
+    this.selectionAnchor = image;
+  };
+
+  /**
+   * Reload every image that failed to load, for example once the connection
+   * comes back.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.retryFailed = function() {
+    this.images.forEach(function(image) {
+      image.retry();
+    });
+    return this;
+  };
+
+  /**
+   * Switch to a different layout, animating images from their current
+   * positions to their new ones.
+   *
+   * @param {string|function} layout - The name of a built-in layout ('rows',
+   *                                   'columns' or 'squares'), or a layout
+   *                                   function. See the `layout` setting.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.setLayout = function(layout) {
+    this.settings.layout = layout;
+
+    if (this.isEnabled) {
+      this._startTransition();
+      this._relayout();
+    }
+
+    return this;
+  };
+
+  /**
+   * Show only the images that pass a filter, animating the images that stay
+   * to their new positions, fading out the images that are filtered out, and
+   * fading in the images that come back. The other images are kept, so that
+   * they can be shown again by changing the filter.
+   *
+   * @param {function|null} predicate - Called with the `imageData` of each
+   *                                    image, and returns whether to show it.
+   *                                    Pass null to show every image.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.setFilter = function(predicate) {
+    const allImages = this.allImages || this.images;
+
+    this.filter = predicate || null;
+    this.allImages = this.filter ? allImages : null;
+    this._setImages(this.filter ? allImages.filter(function(image) {
+      return predicate(image.data);
+    }) : allImages);
+
+    return this;
+  };
+
+  /**
+   * Sort the images, animating them from their current positions to their
+   * new ones. Images that are filtered out are sorted too.
+   *
+   * @param {function} comparator - Compares the `imageData` of two images, in
+   *                                the same way as for `Array.prototype.sort`.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.sort = function(comparator) {
+    const compare = function(a, b) {
+      return comparator(a.data, b.data);
+    };
+
+    if (this.allImages) {
+      this.allImages.sort(compare);
+    }
+    this._setImages(this.images.slice().sort(compare));
+
+    return this;
+  };
+
+  /**
+   * Change the zoom level, animating images to their new sizes and
+   * positions. The first visible image stays in place.
+   *
+   * @param {Number} level - The index of the level in the `zoomLevels`
+   *                         setting. It is clamped to the ladder.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.setZoom = function(level) {
+    this._zoomTo(level, null);
+    return this;
+  };
+
+  /**
+   * Zoom in by one level, to fewer, bigger images.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.zoomIn = function() {
+    return this.setZoom(this.zoomLevel + 1);
+  };
+
+  /**
+   * Zoom out by one level, to more, smaller images.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.zoomOut = function() {
+    return this.setZoom(this.zoomLevel - 1);
+  };
+
+  /**
+   * Change the zoom level, keeping an anchor in place, and emit a 'zoom'
+   * event if it changed.
+   *
+   * @param {Number} level - The index of the level in `zoomLevels`.
+   * @param {object|null} anchor - The anchor to keep in place, or null for
+   *                               the first visible image.
+   */
+  Pig.prototype._zoomTo = function(level, anchor) {
+    level = Math.min(Math.max(Math.round(level), 0), this.settings.zoomLevels.length - 1);
+    if (level === this.zoomLevel) {
+      return;
+    }
+
+    this.zoomLevel = level;
+    if (this.isEnabled) {
+      this._startTransition();
+      this._relayout(anchor || this._getScrollAnchor());
+    }
+    this._emit('zoom', { level: level, factor: this._getZoomFactor() });
+  };
+
+  /**
+   * Get the factor of the current zoom level.
+   *
+   * @returns {Number} The factor by which images are bigger than at level 1.
+   */
+  Pig.prototype._getZoomFactor = function() {
+    return this.settings.zoomLevels[this.zoomLevel] || 1;
+  };
+
+  /**
+   * Zoom by one level in or out, keeping the image under a point on the
+   * screen in place.
+   *
+   * @param {Number} step - 1 to zoom in, or -1 to zoom out.
+   * @param {Number} clientX - The horizontal position of the point in the
+   *                           window.
+   * @param {Number} clientY - The vertical position of the point.
+   */
+  Pig.prototype._zoomAt = function(step, clientX, clientY) {
+    const rect = this.container.getBoundingClientRect();
+    this._zoomTo(this.zoomLevel + step, this._getScrollAnchorAt(clientX - rect.left, clientY - rect.top));
+  };
+
+  /**
+   * Create our wheel handler, which zooms when the ctrl key is held, and
+   * return it. Browsers also send ctrl+wheel events for a pinch on a
+   * trackpad, in small steps, so the movement is added up until it is worth
+   * a zoom step.
+   *
+   * @returns {function} The wheel handler to attach to the container.
+   */
+  Pig.prototype._getOnWheel = function() {
+    return function(event) {
+      if (!event.ctrlKey) {
+        return;
+      }
+
+      // Stop the browser from zooming the page instead.
+      event.preventDefault();
+
+      // Some browsers give the movement of a mouse wheel in lines.
+      this.wheelZoomDelta += event.deltaMode === 1 ? event.deltaY * 40 : event.deltaY;
+      if (Math.abs(this.wheelZoomDelta) >= ZOOM_WHEEL_THRESHOLD) {
+        this._zoomAt(this.wheelZoomDelta < 0 ? 1 : -1, event.clientX, event.clientY);
+        this.wheelZoomDelta = 0;
+      }
+    }.bind(this);
+  };
+
+  /**
+   * Create our touchmove handler, which zooms in or out by a level each time
+   * the fingers of a two-finger pinch move far enough apart or together, and
+   * return it.
+   *
+   * @returns {function} The touchmove handler to attach to the container.
+   */
+  Pig.prototype._getOnTouchMove = function() {
+    return function(event) {
+      if (event.touches.length !== 2) {
+        this.pinchDistance = null;
+        return;
+      }
+
+      // Stop the browser from zooming the page instead.
+      event.preventDefault();
+
+      const first = event.touches[0];
+      const second = event.touches[1];
+      const distance = Math.sqrt(Math.pow(first.clientX - second.clientX, 2) +
+        Math.pow(first.clientY - second.clientY, 2));
+      if (!this.pinchDistance) {
+        this.pinchDistance = distance;
+        return;
+      }
+
+      const scale = distance / this.pinchDistance;
+      if (scale >= PINCH_ZOOM_SCALE || scale <= 1 / PINCH_ZOOM_SCALE) {
+        this._zoomAt(scale > 1 ? 1 : -1,
+          (first.clientX + second.clientX) / 2,
+          (first.clientY + second.clientY) / 2);
+        this.pinchDistance = distance;
+      }
+    }.bind(this);
+  };
+
+  /**
+   * Replace the images in the grid with another list of the same
+   * ProgressiveImage instances, and animate the change: the figures that
+   * stay move to their new positions, the figures of the images that are
+   * no longer in the list fade out, and those of the new ones fade in.
+   *
+   * @param {Array[ProgressiveImage]} images - The new list of images.
+   */
+  Pig.prototype._setImages = function(images) {
+    const oldImages = new Set(this.images);
+    const newImages = new Set(images);
+
+    // Find the anchor while the layout index still describes the old list,
+    // among the images that stay in the grid.
+    let anchor = null;
+    if (this.isEnabled) {
+      anchor = this._getScrollAnchor(function(image) {
+        return newImages.has(image);
+      });
+      this._startTransition();
+    }
+
+    this.images.forEach(function(image) {
+      if (!newImages.has(image)) {
+        image.fadeOut();
+      }
+    });
+
+    this.images = images;
+    this.layoutIndex = null;
+    images.forEach(function(image, index) {
+      image.index = index;
+      image.isEntering = !oldImages.has(image);
+    });
+
+    if (this.isEnabled) {
+      this._relayout(anchor);
+    } else {
+      // The layout is computed from scratch in `enable()`.
+      this.rows = null;
+    }
+
+    // Images that are shown later, as the user scrolls, appear as usual.
+    images.forEach(function(image) {
+      image.isEntering = false;
+    });
+  };
+
+  /**
+   * Add images to the end of the grid.
+   *
+   * @param {array} imageData - An array of metadata about each image to add,
+   *                            in the same format as the `imageData` passed to
+   *                            the constructor.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.append = function(imageData) {
+    return this._splice(this.images.length, 0, imageData);
+  };
+
+  /**
+   * Add images to the beginning of the grid. If the user has scrolled into
+   * the grid, the scroll position is adjusted so that the images they are
+   * looking at do not move.
+   *
+   * @param {array} imageData - An array of metadata about each image to add,
+   *                            in the same format as the `imageData` passed to
+   *                            the constructor.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.prepend = function(imageData) {
+    return this._splice(0, 0, imageData);
+  };
+
+  /**
+   * Remove an image from the grid.
+   *
+   * @param {string|Number} filenameOrIndex - The filename or the index of the
+   *                                          image to remove.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.remove = function(filenameOrIndex) {
+    const index = this._getImageIndex(filenameOrIndex);
+    if (index === -1) {
+      console.error('Could not find image ' + filenameOrIndex);
+      return this;
+    }
+
+    return this._splice(index, 1, []);
+  };
+
+  /**
+   * Replace an image in the grid with one or more other images.
+   *
+   * @param {string|Number} filenameOrIndex - The filename or the index of the
+   *                                          image to replace.
+   * @param {object|array} imageData - Metadata about the image, or an array of
+   *                                   metadata about the images, to put in its
+   *                                   place.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.replace = function(filenameOrIndex, imageData) {
+    const index = this._getImageIndex(filenameOrIndex);
+    if (index === -1) {
+      console.error('Could not find image ' + filenameOrIndex);
+      return this;
+    }
+
+    return this._splice(index, 1, Array.isArray(imageData) ? imageData : [imageData]);
+  };
+
+  /**
+   * Find the index in `this.images` of an image.
+   *
+   * @param {string|Number} filenameOrIndex - The filename or the index of the
+   *                                          image.
+   *
+   * @returns {Number} The index of the image, or -1 if there is no such image.
+   */
+  Pig.prototype._getImageIndex = function(filenameOrIndex) {
+    if (typeof filenameOrIndex === 'number') {
+      return (filenameOrIndex >= 0 && filenameOrIndex < this.images.length) ? filenameOrIndex : -1;
+    }
+
+    for (let i = 0; i < this.images.length; i++) {
+      if (this.images[i].filename === filenameOrIndex) {
+        return i;
+      }
+    }
+
+    return -1;
+  };
+
+  /**
+   * Removes `removedCount` images at `index` from the grid, and inserts new
+   * images created from `imageData` in their place. Removed ProgressiveImage
+   * instances are disposed of, and the indices of the following images are
+   * updated. If the grid is enabled, only the affected rows are laid out
+   * again, and the scroll position is adjusted to keep the images in the
+   * viewport in place.
+   *
+   * @param {Number} index - The index at which to change images.
+   * @param {Number} removedCount - The number of images to remove.
+   * @param {array} imageData - An array of metadata about each image to
+   *                            insert.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype._splice = function(index, removedCount, imageData) {
+    const anchor = this.isEnabled ? this._getScrollAnchor() : null;
+
+    let insertedImages = this._parseImageData(imageData);
+
+    // With a filter, the images are inserted into the list of every image
+    // before the image at `index`, or at the very end when appending, and
+    // only those that pass the filter are shown. Prepending to the shown
+    // images inserts at the very start.
+    if (this.allImages) {
+      const allIndex = index >= this.images.length ? this.allImages.length :
+        index === 0 && !removedCount ? 0 :
+        this.allImages.indexOf(this.images[index]);
+      this.images.slice(index, index + removedCount).forEach(function(image) {
+        this.allImages.splice(this.allImages.indexOf(image), 1);
+      }.bind(this));
+      [].splice.apply(this.allImages, [allIndex, 0].concat(insertedImages));
+
+      insertedImages = insertedImages.filter(function(image) {
+        return this.filter(image.data);
+      }.bind(this));
+    }
+
+    const removedImages = [].splice.apply(this.images, [index, removedCount].concat(insertedImages));
+    this.layoutIndex = null;
+
+    removedImages.forEach(function(image) {
+      image.dispose();
+    });
+
+    for (let i = index; i < this.images.length; i++) {
+      this.images[i].index = i;
+    }
+
+    if (this.isEnabled) {
+      this._computeLayoutFrom(index, removedCount, insertedImages.length);
+
+      // The container must be tall enough before we can scroll to the anchor.
+      this._setContainerSize();
+      this._restoreScrollAnchor(anchor);
+      this._doLayout();
+    } else {
+      // The layout is computed from scratch in `enable()`.
+      this.rows = null;
+    }
+
+    return this;
+  };
+
+  /**
+   * Find the first image that is at least partially visible in the viewport,
+   * so that we can keep it in the same place on the screen when the layout
+   * changes.
+   *
+   * @param {function} isCandidate - Optional. Only the images for which this
+   *                                 returns true can be the anchor.
+   *
+   * @returns {object|null} The anchor image and its offset from the top of
+   *                        the viewport, or null if the user has not
+   *                        scrolled into the grid. The offset is that of the
+   *                        point `fraction` of the way down the image, which
+   *                        is its top here.
+   */
+  Pig.prototype._getScrollAnchor = function(isCandidate) {
+    this._updateViewport();
+    if (this.viewportTop <= 0 || !this.images.length || !this.images[0].style) {
+      return null;
+    }
+
+    let anchorImage = null;
+    this._getImagesInRange(this.viewportTop, this.viewportBottom).forEach(function(image) {
+      if ((!isCandidate || isCandidate(image)) &&
+          (!anchorImage || image.index < anchorImage.index)) {
+        anchorImage = image;
+      }
+    });
+    if (!anchorImage) {
+      return null;
+    }
+
+    return {
+      image: anchorImage,
+      offset: this._getStart(anchorImage.style) - this.viewportTop,
+      fraction: 0
+    };
+  };
+
+  /**
+   * Find the image under a point in the container, such as the pointer, so
+   * that the point can stay over the same spot of the image when the layout
+   * changes. If there is no image there, the first visible image is used.
+   *
+   * @param {Number} x - The distance of the point from the left of the
+   *                     container.
+   * @param {Number} y - The distance of the point from the top of the
+   *                     container.
+   *
+   * @returns {object|null} The anchor image, the `fraction` of the way down
+   *                        the image that the point is, and the `offset` of
+   *                        the point from the top of the viewport.
+   */
+  Pig.prototype._getScrollAnchorAt = function(x, y) {
+    this._updateViewport();
+    const isHorizontal = this._isHorizontal();
+    const position = isHorizontal ? x : y;
+    const crossPosition = isHorizontal ? y : x;
+
+    const anchorImage = this._getImagesInRange(position, position).find(function(image) {
+      const crossStart = isHorizontal ? image.style.translateY : image.style.translateX;
+      const crossSize = isHorizontal ? image.style.height : image.style.width;
+      return crossPosition >= crossStart && crossPosition <= crossStart + crossSize;
+    });
+    if (!anchorImage) {
+      return this._getScrollAnchor();
+    }
+
+    return {
+      image: anchorImage,
+      offset: position - this.viewportTop,
+      fraction: (position - this._getStart(anchorImage.style)) / this._getSize(anchorImage.style)
+    };
+  };
+
+  /**
+   * Scroll so that the anchor point is as far from the top of the viewport
+   * as it was when `_getScrollAnchor` or `_getScrollAnchorAt` was called, so
+   * that the image appears to stay in place.
+   *
+   * @param {object|null} anchor - The value returned by `_getScrollAnchor` or
+   *                               `_getScrollAnchorAt`.
+   */
+  Pig.prototype._restoreScrollAnchor = function(anchor) {
+    if (!anchor || this.images[anchor.image.index] !== anchor.image) {
+      return;
+    }
+
+    this._updateViewport();
+    const anchorPosition = this._getStart(anchor.image.style) +
+      (anchor.fraction || 0) * this._getSize(anchor.image.style);
+    const deltaY = anchorPosition - this.viewportTop - anchor.offset;
+    if (deltaY === 0) {
+      return;
+    }
+
+    this._scrollTo(this._getScrollOffset() + deltaY);
+  };
+
+  /**
+   * Recompute the layout and apply it, keeping the first visible image, or
+   * the given anchor, in the same place on the screen.
+   *
+   * @param {object|null} anchor - Optional. The anchor to keep in place, or
+   *                               null to keep nothing in place. Defaults to
+   *                               the first visible image.
+   */
+  Pig.prototype._relayout = function(anchor) {
+    anchor = anchor === undefined ? this._getScrollAnchor() : anchor;
+    this._computeLayout();
+
+    // The container must be tall enough before we can scroll to the anchor.
+    this._setContainerSize();
+    this._restoreScrollAnchor(anchor);
+    this._doLayout();
+  };
+
+  /**
+   * Scroll the scroller to the given offset, along the axis that the grid
+   * scrolls in.
+   *
+   * @param {Number} yOffset - The new scroll position, in pixels.
+   * @param {string} behavior - 'smooth' to animate the scroll, or 'auto'.
+   */
+  Pig.prototype._scrollTo = function(yOffset, behavior) {
+    const isHorizontal = this._isHorizontal();
+
+    if (behavior === 'smooth') {
+      // The scroll events during the animation are handled as if the user
+      // were scrolling.
+      this.scroller.scrollTo(isHorizontal ?
+        { left: yOffset, behavior: 'smooth' } :
+        { top: yOffset, behavior: 'smooth' });
+      return;
+    }
+
+    // Update our offset first, so that the resulting scroll event doesn't
+    // register as the user scrolling.
+    this.latestYOffset = yOffset;
+    if (this.scroller === window) {
+      if (isHorizontal) {
+        window.scrollTo(yOffset, window.pageYOffset);
+      } else {
+        window.scrollTo(window.pageXOffset, yOffset);
+      }
+    } else if (isHorizontal) {
+      this.scroller.scrollLeft = yOffset;
+    } else {
+      this.scroller.scrollTop = yOffset;
+    }
+  };
+
+  /**
+   * Get the scroll position at which an image is aligned in the viewport. The
+   * top of the image is kept below a sticky group header, which would
+   * otherwise cover it.
+   *
+   * @param {ProgressiveImage} image - The image.
+   * @param {string} align - Where to align the image: 'start', 'center',
+   *                         'end', or 'nearest' to scroll by as little as
+   *                         possible to bring it completely into view.
+   *
+   * @returns {Number} The scroll position, in pixels.
+   */
+  Pig.prototype._getScrollOffsetForImage = function(image, align) {
+    this._updateViewport();
+    const viewportHeight = this.viewportBottom - this.viewportTop;
+    const headerHeight = this.settings.stickyGroupHeaders && this.groupHeaders.length ?
+      this.settings.groupHeaderHeight :
+      0;
+
+    // The position of the image relative to the viewport.
+    const imageTop = this._getStart(image.style) - this.viewportTop;
+    const imageBottom = imageTop + this._getSize(image.style);
+
+    let deltaY = 0;
+    if (align === 'start') {
+      deltaY = imageTop - headerHeight;
+    } else if (align === 'center') {
+      deltaY = (imageTop + imageBottom - viewportHeight) / 2;
+    } else if (align === 'end') {
+      deltaY = imageBottom - viewportHeight;
+    } else if (imageTop < headerHeight) {
+      deltaY = imageTop - headerHeight;
+    } else if (imageBottom > viewportHeight) {
+      deltaY = Math.min(imageTop - headerHeight, imageBottom - viewportHeight);
+    }
+
+    return this._getScrollOffset() + deltaY;
+  };
+
+  /**
+   * Scroll by as little as possible to bring an image completely into view,
+   * and make sure that it is loaded into the DOM.
+   *
+   * @param {ProgressiveImage} image - The image to scroll to.
+   */
+  Pig.prototype._scrollImageIntoView = function(image) {
+    const scrollTop = this._getScrollOffsetForImage(image, 'nearest');
+    if (scrollTop !== this._getScrollOffset()) {
+      this._scrollTo(scrollTop);
+    }
+
+    // Insert the figure now, rather than waiting for the scroll event.
+    this._doLayout();
+  };
+
+  /**
+   * Scroll to an image, for example to jump to a search result or to the
+   * image in a link.
+   *
+   * @param {string|Number} indexOrFilename - The index or the filename of the
+   *                                          image.
+   * @param {object} options - How to scroll:
+   * @param {string} options.align - Where to align the image in the
+   *                                 viewport: 'start' (the default),
+   *                                 'center', 'end', or 'nearest' to scroll
+   *                                 by as little as possible.
+   * @param {string} options.behavior - 'auto' (the default) to jump to the
+   *                                    image, or 'smooth' to animate the
+   *                                    scroll.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.scrollToImage = function(indexOrFilename, options) {
+    const index = this._getImageIndex(indexOrFilename);
+    if (index === -1) {
+      console.error('Could not find image ' + indexOrFilename);
+      return this;
+    }
+
+    const image = this.images[index];
+    if (!image.style) {
+      console.error('Pig must be enabled before scrolling to an image');
+      return this;
+    }
+
+    options = options || {};
+    const behavior = options.behavior || 'auto';
+    this._scrollTo(this._getScrollOffsetForImage(image, options.align || 'start'), behavior);
+
+    // Insert the figures now, rather than waiting for the scroll event.
+    if (behavior !== 'smooth') {
+      this._doLayout();
+    }
+
+    return this;
+  };
+
+  /**
+   * Get the images that are at least partially visible in the viewport.
+   *
+   * @returns {array} The metadata from `imageData` of each visible image, in
+   *                  the order of the grid.
+   */
+  Pig.prototype.getVisibleImages = function() {
+    if (!this.images.length || !this.images[0].style) {
+      return [];
+    }
+
+    this._updateViewport();
+    return this._getImagesInRange(this.viewportTop, this.viewportBottom).sort(function(a, b) {
+      return a.index - b.index;
+    }).map(function(image) {
+      return image.data;
+    });
+  };
+
+  /**
+   * Move keyboard focus to an image. If the image has been removed from the
+   * DOM, or is not near the viewport, it is scrolled into view and loaded
+   * first.
+   *
+   * @param {string|Number} filenameOrIndex - The filename or the index of the
+   *                                          image to focus.
+   *
+   * @returns {object} The Pig instance.
+   */
+  Pig.prototype.focusImage = function(filenameOrIndex) {
+    const index = this._getImageIndex(filenameOrIndex);
+    if (index === -1) {
+      console.error('Could not find image ' + filenameOrIndex);
+      return this;
+    }
+
+    const image = this.images[index];
+    this._setFocusedIndex(index);
+    this._scrollImageIntoView(image);
+    image.getElement().focus({ preventScroll: true });
+
+    return this;
+  };
+
+  /**
+   * Change which image is in the tab order.
+   *
+   * @param {Number} index - The index of the image.
+   */
+  Pig.prototype._setFocusedIndex = function(index) {
+    const previousImage = this.images[this.focusedIndex];
+    this.focusedIndex = index;
+
+    if (previousImage && previousImage.element) {
+      previousImage.element.tabIndex = -1;
+    }
+    if (this.images[index].element) {
+      this.images[index].element.tabIndex = 0;
+    }
+  };
+
+  /**
+   * Find the image whose figure is, or contains, the given element.
+   *
+   * @param {HTMLElement} element - An element inside of the container.
+   *
+   * @returns {ProgressiveImage|null} The image, if there is one.
+   */
+  Pig.prototype._getImageForElement = function(element) {
+    for (let i = 0; i < this.images.length; i++) {
+      const figure = this.images[i].element;
+      if (figure && this.images[i].existsOnPage && (figure === element || figure.contains(element))) {
+        return this.images[i];
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Find the index of the image that is next to another image in the
+   * direction of an arrow key. With the rows layout, moving up or down goes
+   * to the image in the previous or next row whose center is closest
+   * horizontally. With other layouts, we look for the nearest image above or
+   * below, preferring images that overlap horizontally. In the horizontal
+   * orientation, images follow each other down each column, so up and down
+   * go to the previous and next image, and left and right go to the nearest
+   * image in the previous or next column.
+   *
+   * @param {Number} index - The index of the current image.
+   * @param {string} direction - 'left', 'right', 'up', or 'down'.
+   *
+   * @returns {Number} The index of the image in that direction, or `index`
+   *                   if there is none.
+   */
+  Pig.prototype._getIndexInDirection = function(index, direction) {
+    const isHorizontal = this._isHorizontal();
+    if (direction === (isHorizontal ? 'up' : 'left')) {
+      return Math.max(index - 1, 0);
+    } else if (direction === (isHorizontal ? 'down' : 'right')) {
+      return Math.min(index + 1, this.images.length - 1);
+    }
+
+    const isBackward = direction === 'up' || direction === 'left';
+    const getCenter = function(style) {
+      return isHorizontal ?
+        style.translateY + style.height / 2 :
+        style.translateX + style.width / 2;
+    };
+    const style = this.images[index].style;
+    const centerX = getCenter(style);
+    let candidates = [];
+
+    if (this.rows) {
+      let rowIndex = 0;
+      while (this.rows[rowIndex].end <= index) {
+        rowIndex++;
+      }
+
+      const row = this.rows[rowIndex + (direction === 'up' ? -1 : 1)];
+      if (!row) {
+        return index;
+      }
+      candidates = this.images.slice(row.start, row.end);
+    } else {
+      candidates = this.images.filter(function(image) {
+        return isBackward ?
+          this._getStart(image.style) + this._getSize(image.style) <= this._getStart(style) :
+          this._getStart(image.style) >= this._getStart(style) + this._getSize(style);
+      }.bind(this));
+    }
+
+    let closestIndex = index;
+    let closestDistance = Infinity;
+    candidates.forEach(function(image) {
+      const distanceY = Math.abs(this._getStart(image.style) - this._getStart(style));
+      const distanceX = Math.abs(getCenter(image.style) - centerX);
+
+      // Weigh vertical distance heavily, so that we move by one row at a time.
+      const distance = distanceY * this.images.length + distanceX;
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestIndex = image.index;
+      }
+    }.bind(this));
+
+    return closestIndex;
+  };
+
+  /**
+   * Create our keydown handler, which moves focus between figures with the
+   * arrow keys, Home and End, and activates the focused figure with Enter or
+   * Space, just as a click would.
+   *
+   * @returns {function} The keydown handler to attach to the container.
+   */
+  Pig.prototype._getOnKeyDown = function() {
+    const directions = {
+      ArrowLeft: 'left',
+      ArrowRight: 'right',
+      ArrowUp: 'up',
+      ArrowDown: 'down'
+    };
+
+    return function(event) {
+      // Keys pressed on the content of a figure, such as a button or an input
+      // added by `renderFigure`, are left to that content.
+      const image = this._getImageForElement(event.target);
+      if (!image || event.target !== image.element) {
+        return;
+      }
+
+      let index = null;
+      if (directions[event.key]) {
+        index = this._getIndexInDirection(image.index, directions[event.key]);
+      } else if (event.key === 'Home') {
+        index = 0;
+      } else if (event.key === 'End') {
+        index = this.images.length - 1;
+      } else if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        image.onClick(event);
+        return;
+      } else {
+        return;
+      }
+
+      event.preventDefault();
+      this.focusImage(index);
+    }.bind(this);
+  };
+
+  /**
+   * This class manages a single image. It keeps track of the image's height,
+   * width, and position in the grid. An instance of this class is associated
+   * with a single image figure, which looks like this:
+   *
+   *   <figure class="pig-figure" style="transform: ...">
+   *     <img class="pig-thumbnail pig-loaded" src="/path/to/thumbnail/image.jpg" />
+   *     <img class="pig-loaded" src="/path/to/500px/image.jpg" />
+   *   </figure>
+   *
+   * However, this element may or may not actually exist in the DOM. The actual
+   * DOM element may loaded and unloaded depending on where it is with respect
+   * to the viewport. This class is responsible for managing the DOM elements,
+   * but does not include logic to determine _when_ the DOM elements should
+   * be removed.
+   *
+   * This class also manages the blur-into-focus load effect.  First, the
+   * <figure> element is inserted into the page. Then, a very small thumbnail
+   * is loaded, stretched out to the full size of the image.  This pixelated
+   * image is then blurred using CSS filter: blur(). Then, the full image is
+   * loaded, with opacity:0.  Once it has loaded, it is given the `pig-loaded`
+   * class, and its opacity is set to 1.  This creates an effect where there is
+   * first a blurred version of the image, and then it appears to come into
+   * focus.
+   *
+   * @param {array} singleImageData - An array of metadata about each image to
+   *                                  include in the grid.
+   * @param {string} singleImageData[0].filename - The filename of the image.
+   * @param {string} singleImageData[0].aspectRatio - The aspect ratio of the
+   *                                                  image.
+   * @param {number} index - Index of the image in the list of images
+   * @param {object} pig - The Pig instance
+   *
+   * @returns {object}  The Pig instance, for easy chaining with the constructor.
+   */
+  function ProgressiveImage(singleImageData, index, pig) {
+
+    // Global State
+    this.existsOnPage = false; // True if the element exists on the page.
+
+    // Instance information
+    this.aspectRatio = singleImageData.aspectRatio;  // Aspect Ratio
+    this.filename = singleImageData.filename;  // Filename
+    this.group = singleImageData.group;  // The section of the grid, if any
+    this.type = singleImageData.type || 'image';  // 'image', 'video' or 'animated'
+    this.isInViewport = false;  // Whether a video or animated image may play
+    this.isEntering = false;  // Whether the figure should fade in when shown
+    this.data = singleImageData;  // The metadata passed in `imageData`
+    this.isSelected = false;  // Whether the image is selected
+    this.hasError = false;  // Whether the full image failed to load
+    this.index = index;  // The index in the list of images
+
+    // The Pig instance
+    this.pig = pig;
+
+    this.classNames = {
+      figure: pig.settings.classPrefix + '-figure',
+      thumbnail: pig.settings.classPrefix + '-thumbnail',
+      loaded: pig.settings.classPrefix + '-loaded',
+      selected: pig.settings.classPrefix + '-selected',
+      error: pig.settings.classPrefix + '-error',
+      caption: pig.settings.classPrefix + '-caption',
+      placeholder: pig.settings.classPrefix + '-placeholder'
+    };
+
+    return this;
+  }
+
+  /**
+   * Load the image element associated with this ProgressiveImage into the DOM.
+   *
+   * This function will append the figure into the DOM, create and insert the
+   * thumbnail, and create and insert the full image.
+   */
+  ProgressiveImage.prototype.load = function() {
+    // Create a new image element, and insert it into the DOM. It doesn't
+    // matter the order of the figure elements, because all positioning
+    // is done using transforms.
+    const wasOnPage = this.existsOnPage;
+    this.existsOnPage = true;
+    this._updateStyles();
+
+    // The position of the figure in the list may change when images are
+    // added or removed.
+    const element = this.getElement();
+    element.setAttribute('aria-posinset', this.index + 1);
+    element.setAttribute('aria-setsize', this.pig.images.length);
+    element.tabIndex = this.index === this.pig.focusedIndex ? 0 : -1;
+
+    // Re-inserting a figure that is already on the page would make it lose
+    // focus.
+    if (!wasOnPage) {
+      this.pig.container.appendChild(element);
+      this.pig.visibleImages.push(this);
+      this._observeMedia();
+      this._emit('show');
+
+      // The figure must be rendered transparent once before it can fade in.
+      if (this.isEntering) {
+        element.style.opacity = '0';
+        element.getBoundingClientRect();
+        element.style.opacity = '';
+      }
+    } else if (this.fadeOutTimeout) {
+      // The image came back while it was fading out.
+      clearTimeout(this.fadeOutTimeout);
+      this.fadeOutTimeout = null;
+      element.style.opacity = '';
+      this.pig.visibleImages.push(this);
+    }
+
+    // Inline placeholders don't need a request, so we show them right away.
+    if (!this.thumbnail && !this.fullImage) {
+      const placeholderSrc = this._getPlaceholderSrc();
+      if (placeholderSrc) {
+        this._loadThumbnail(placeholderSrc);
+      }
+    }
+
+    // A load is already scheduled.
+    if (this.loadTimeout) {
+      return;
+    }
+
+    // The full image is already loaded, but the figure may have grown since.
+    if (this.fullImage) {
+      this._upgradeFullImage();
+      return;
+    }
+
+    // We run the rest of the function in a 100ms setTimeout so that if the
+    // user is scrolling down the page very fast and hide() is called within
+    // 100ms of load(), the hide() function will cancel the timeout and we
+    // won't load the image at all.
+    this.loadTimeout = setTimeout(function() {
+      this.loadTimeout = null;
+
+      // The image was hidden very quickly after being loaded, so don't bother
+      // loading it at all.
+      if (!this.existsOnPage) {
+        return;
+      }
+
+      // Show thumbnail, unless the full image was already rendered on the
+      // server, or the image has an inline placeholder.
+      if (!this.thumbnail && !this.fullImage && !this._hasInlinePlaceholder()) {
+        this._loadThumbnail();
+      }
+
+      // Show full image
+      if (!this.fullImage) {
+        const fullImage = new Image();
+        this.fullImage = fullImage;
+        this.fullImageSize = this._getFullImageSize();
+        this.fullImage.alt = this.data.alt || '';
+        this.fullImage.onload = function(event) {
+
+          // We have to make sure fullImage still exists, we may have already been
+          // deallocated if the user scrolls too fast.
+          if (this.fullImage) {
+            this.fullImage.className += ' ' + this.classNames.loaded;
+            this._emit('imageload', event);
+          }
+        }.bind(this);
+        this._loadSource(fullImage, this.fullImageSize, function() {
+          return this.fullImage === fullImage;
+        }.bind(this), function() {
+          this._setHasError(true);
+        }.bind(this));
+
+        this._insertImage(this.fullImage);
+      }
+
+    }.bind(this), 100);
+  };
+
+  /**
+   * Create the thumbnail image, and add it to the figure.
+   *
+   * @param {string} placeholderSrc - The data URI of an inline placeholder to
+   *                                  show, instead of requesting a thumbnail.
+   */
+  ProgressiveImage.prototype._loadThumbnail = function(placeholderSrc) {
+    const thumbnail = new Image();
+    this.thumbnail = thumbnail;
+    this.thumbnail.alt = '';
+    this.thumbnail.className = this.classNames.thumbnail;
+    this.thumbnail.onload = function(event) {
+
+      // We have to make sure thumbnail still exists, we may have already been
+      // deallocated if the user scrolls too fast.
+      if (this.thumbnail) {
+        this.thumbnail.className += ' ' + this.classNames.loaded;
+        this._emit('thumbnailload', event);
+      }
+    }.bind(this);
+
+    if (placeholderSrc) {
+      // An inline placeholder may not have the aspect ratio of the image, so
+      // it covers the whole figure.
+      this.thumbnail.className += ' ' + this.classNames.placeholder;
+      this.thumbnail.onerror = function(event) {
+        if (this.thumbnail === thumbnail) {
+          this._emit('imageerror', event, {
+            filename: this.filename,
+            size: null
+          });
+        }
+      }.bind(this);
+      this.thumbnail.src = placeholderSrc;
+    } else {
+      this._loadSource(thumbnail, this.pig.settings.thumbnailSize, function() {
+        return this.thumbnail === thumbnail;
+      }.bind(this));
+    }
+
+    this._insertImage(this.thumbnail);
+  };
+
+  /**
+   * Load `img` from the URL given by `urlForSize`. If it fails to load, it is
+   * retried `retryAttempts` times, waiting twice as long before each retry,
+   * and then loaded from `fallbackUrlForSize` in the same way. Once every
+   * attempt has failed, an 'imageerror' event is emitted.
+   *
+   * @param {HTMLImageElement} img - The image element to load.
+   * @param {Number} size - The size (height in pixels) of the image.
+   * @param {function} isCurrent - Returns whether `img` is still in use, since
+   *                               it may have been removed while loading.
+   * @param {function} onFailed - Called once every attempt has failed.
+   */
+  ProgressiveImage.prototype._loadSource = function(img, size, isCurrent, onFailed) {
+    const settings = this.pig.settings;
+    const urlsForSize = [settings.urlForSize];
+    if (settings.fallbackUrlForSize) {
+      urlsForSize.push(settings.fallbackUrlForSize);
+    }
+    let urlIndex = 0;
+    let attempt = 0;
+
+    const setSource = function() {
+      this.pig.loader.load(img, urlsForSize[urlIndex](this.filename, size), this, img === this.thumbnail);
+    }.bind(this);
+
+    img.onerror = function(event) {
+      if (!isCurrent()) {
+        return;
+      }
+
+      if (attempt < settings.retryAttempts) {
+        const delay = settings.retryDelay * Math.pow(2, attempt);
+        attempt++;
+        setTimeout(function() {
+          if (isCurrent()) {
+            setSource();
+          }
+        }, delay);
+      } else if (urlIndex < urlsForSize.length - 1) {
+        urlIndex++;
+        attempt = 0;
+        setSource();
+      } else {
+        if (onFailed) {
+          onFailed();
+        }
+        this._emit('imageerror', event, {
+          filename: this.filename,
+          size: size
+        });
+      }
+    }.bind(this);
+
+    setSource();
+  };
+
+  /**
+   * Set whether the full image of this image failed to load. The figure has
+   * the `error` class name while it has.
+   *
+   * @param {boolean} hasError - Whether the full image failed to load.
+   */
+  ProgressiveImage.prototype._setHasError = function(hasError) {
+    this.hasError = hasError;
+    if (this.element) {
+      this.element.classList.toggle(this.classNames.error, hasError);
+    }
+  };
+
+  /**
+   * Reload this image if it failed to load. Images that are not on the page
+   * are loaded again anyway when they are next shown.
+   */
+  ProgressiveImage.prototype.retry = function() {
+    if (!this.hasError) {
+      return;
+    }
+
+    this._removeImages();
+    if (this.existsOnPage) {
+      this.load();
+    }
+  };
+
+  /**
+   * Whether the image data includes a placeholder to show instead of
+   * requesting a thumbnail: a dominant `color`, a `blurhash` or a
+   * `placeholderDataUri`.
+   *
+   * @returns {boolean} True if the thumbnail request should be skipped.
+   */
+  ProgressiveImage.prototype._hasInlinePlaceholder = function() {
+    return !!(this.data.color || this.data.blurhash || this.data.placeholderDataUri);
+  };
+
+  /**
+   * Get the URL of the inline placeholder image, if any. A BlurHash is decoded
+   * to a small canvas when it is needed, and the result is kept until the
+   * image is hidden.
+   *
+   * @returns {string|null} A data URI, or null if the image data has no
+   *                        placeholder image, only a color or nothing.
+   */
+  ProgressiveImage.prototype._getPlaceholderSrc = function() {
+    if (this.data.placeholderDataUri) {
+      return this.data.placeholderDataUri;
+    }
+    if (!this.data.blurhash) {
+      return null;
+    }
+
+    if (this.placeholderSrc === undefined) {
+      this.placeholderSrc = null;
+
+      const width = Math.max(1, Math.round(BLURHASH_SIZE * Math.min(this.aspectRatio, 1)));
+      const height = Math.max(1, Math.round(BLURHASH_SIZE / Math.max(this.aspectRatio, 1)));
+      const pixels = _decodeBlurHash(this.data.blurhash, width, height);
+      const canvas = document.createElement('canvas');
+      const context = canvas.getContext && canvas.getContext('2d');
+      if (!pixels) {
+        console.error('Invalid blurhash for ' + this.filename + ': ' + this.data.blurhash);
+      } else if (context) {
+        canvas.width = width;
+        canvas.height = height;
+        const imageData = context.createImageData(width, height);
+        imageData.data.set(pixels);
+        context.putImageData(imageData, 0, 0);
+        this.placeholderSrc = canvas.toDataURL();
+      }
+    }
+    return this.placeholderSrc;
+  };
+
+  /**
+   * Get the size of the full image to load. With the `imageSizes` setting,
+   * this is the smallest available size that is at least as tall as the
+   * figure is on the screen, in device pixels. Otherwise, it is given by the
+   * `getImageSize` setting.
+   *
+   * @returns {Number} The size (height in pixels) of the full image.
+   */
+  ProgressiveImage.prototype._getFullImageSize = function() {
+    const imageSizes = this.pig.settings.imageSizes;
+    if (!imageSizes || !imageSizes.length) {
+      return this.pig.settings.getImageSize(this.pig.lastWindowWidth);
+    }
+
+    const imageHeight = this.style.height - this.pig.settings.captionHeight;
+    const requiredSize = imageHeight * (window.devicePixelRatio || 1);
+    const sortedSizes = imageSizes.slice().sort(function(a, b) {
+      return a - b;
+    });
+
+    for (let i = 0; i < sortedSizes.length; i++) {
+      if (sortedSizes[i] >= requiredSize) {
+        return sortedSizes[i];
+      }
+    }
+
+    return sortedSizes[sortedSizes.length - 1];
+  };
+
+  /**
+   * If the full image that was loaded is now too small for the figure, load
+   * a larger one. The larger image is only inserted once it has loaded, on
+   * top of the current one, which is then removed, so that the figure never
+   * flashes. We never switch to a smaller image.
+   */
+  ProgressiveImage.prototype._upgradeFullImage = function() {
+    const size = this._getFullImageSize();
+    const pendingSize = this.pendingFullImage ? this.pendingFullImageSize : this.fullImageSize;
+    if (size <= pendingSize) {
+      return;
+    }
+
+    this._cancelPendingFullImage();
+
+    const pendingFullImage = new Image();
+    pendingFullImage.alt = this.data.alt || '';
+    pendingFullImage.onload = function(event) {
+
+      // The image may have been hidden, or replaced by an even larger one,
+      // while we were loading.
+      if (this.pendingFullImage !== pendingFullImage) {
+        return;
+      }
+
+      pendingFullImage.className = this.classNames.loaded;
+      this._insertImage(pendingFullImage);
+      this.getElement().removeChild(this.fullImage);
+      this.pig.loader.cancel(this.fullImage);
+
+      this.fullImage = pendingFullImage;
+      this.fullImageSize = this.pendingFullImageSize;
+      this.pendingFullImage = null;
+
+      // The smaller image may have failed, but this one is fine.
+      this._setHasError(false);
+      this._emit('imageload', event);
+    }.bind(this);
+    this.pendingFullImage = pendingFullImage;
+    this.pendingFullImageSize = size;
+
+    // If the larger image fails to load, we keep showing the smaller one, and
+    // keep the failed image pending so that it isn't requested again until
+    // this image is hidden and shown again.
+    this._loadSource(pendingFullImage, size, function() {
+      return this.pendingFullImage === pendingFullImage;
+    }.bind(this));
+  };
+
+  /**
+   * Stop loading a larger full image, if we are.
+   */
+  ProgressiveImage.prototype._cancelPendingFullImage = function() {
+    if (this.pendingFullImage) {
+      this.pig.loader.cancel(this.pendingFullImage);
+      this.pendingFullImage.src = '';
+      this.pendingFullImage = null;
+    }
+  };
+
+  /**
+   * Removes the figure from the DOM, removes the thumbnail and full image, and
+   * deletes the this.thumbnail and this.fullImage properties off of the
+   * ProgressiveImage object.
+   */
+  ProgressiveImage.prototype.hide = function() {
+    this._removeImages();
+    this.isInViewport = false;
+
+    if (this.fadeOutTimeout) {
+      clearTimeout(this.fadeOutTimeout);
+      this.fadeOutTimeout = null;
+      this.element.style.opacity = '';
+    }
+
+    // Remove the image from the DOM.
+    if (this.existsOnPage) {
+      if (this.type !== 'image' && this.pig.mediaObserver) {
+        this.pig.mediaObserver.unobserve(this.element);
+      }
+      this.pig.container.removeChild(this.element);
+
+      // A figure that is fading out is no longer in the list.
+      const visibleIndex = this.pig.visibleImages.indexOf(this);
+      if (visibleIndex !== -1) {
+        this.pig.visibleImages.splice(visibleIndex, 1);
+      }
+      this.existsOnPage = false;
+      this._emit('hide');
+    }
+
+    // Release the figure and the decoded placeholder, so that memory doesn't
+    // grow with every image that is scrolled past. They are created again
+    // when the image is next loaded.
+    this._releaseElement();
+    delete this.placeholderSrc;
+  };
+
+  /**
+   * Fade the figure out and then hide it, once the image has been removed
+   * from the list of images in the grid while the grid is transitioning.
+   * Otherwise, it is hidden straight away.
+   */
+  ProgressiveImage.prototype.fadeOut = function() {
+    if (this.fadeOutTimeout) {
+      return;
+    }
+    if (!this.existsOnPage || !this.pig.isTransitioning) {
+      this.hide();
+      return;
+    }
+
+    // The figure stays on the page until it has faded out, but the layout no
+    // longer takes it into account.
+    this.pig.visibleImages.splice(this.pig.visibleImages.indexOf(this), 1);
+    this.element.style.transition = this.pig._getTransitionString();
+    this.element.style.opacity = '0';
+    this.fadeOutTimeout = setTimeout(function() {
+      this.hide();
+    }.bind(this), this.pig.settings.transitionSpeed);
+  };
+
+  /**
+   * Cancel loading the images of the figure, and remove them from the figure.
+   */
+  ProgressiveImage.prototype._removeImages = function() {
+    // Cancel a pending load.
+    if (this.loadTimeout) {
+      clearTimeout(this.loadTimeout);
+      this.loadTimeout = null;
+    }
+    this._cancelPendingFullImage();
+
+    // Remove the images from the element, so that if a user is scrolling super
+    // fast, we won't try to load every image we scroll past.
+    if (this.element) {
+      if (this.thumbnail) {
+        this.pig.loader.cancel(this.thumbnail);
+        this.thumbnail.src = '';
+        this.element.removeChild(this.thumbnail);
+        delete this.thumbnail;
+      }
+
+      if (this.fullImage) {
+        this.pig.loader.cancel(this.fullImage);
+        this.fullImage.src = '';
+        this.element.removeChild(this.fullImage);
+        delete this.fullImage;
+      }
+      this._removeMedia();
+    }
+
+    // The images will be requested again when the figure is next loaded.
+    if (this.hasError) {
+      this._setHasError(false);
+    }
+  };
+
+  /**
+   * Start watching whether the figure of a video or an animated image is in
+   * the viewport.
+   */
+  ProgressiveImage.prototype._observeMedia = function() {
+    if (this.type !== 'image' && this.pig.mediaObserver) {
+      this.pig.mediaObserver.observe(this.element);
+    }
+  };
+
+  /**
+   * Play the video or the animated image if it is in the viewport, the grid is
+   * enabled, and the user doesn't prefer reduced motion, and stop it
+   * otherwise. The still full image is shown underneath as the poster.
+   *
+   * A video is created muted and looping the first time it plays, and is only
+   * paused when it leaves the viewport, so that it resumes where it was. An
+   * animated image can't be paused, so it is removed instead.
+   */
+  ProgressiveImage.prototype._updatePlayback = function() {
+    if (this.type === 'image' || !this.element) {
+      return;
+    }
+
+    const shouldPlay = this.existsOnPage && this.isInViewport && !this.pig._prefersReducedMotion();
+    if (!shouldPlay) {
+      if (this.video) {
+        this.video.pause();
+      } else if (this.media) {
+        this._removeMedia();
+      }
+      return;
+    }
+
+    if (!this.media) {
+      this.media = this._createMedia();
+      this._insertImage(this.media);
+    }
+
+    if (this.video) {
+      const playing = this.video.play();
+
+      // Browsers may refuse to play, in which case the poster stays.
+      if (playing && playing.catch) {
+        playing.catch(function() {});
+      }
+    }
+  };
+
+  /**
+   * Create the element of the video or the animated image, from the URL given
+   * by `urlForMedia`. A video is muted and looping, so that browsers let it
+   * play without a user gesture. Either is shown once it is ready.
+   *
+   * @returns {HTMLElement} The video or image element.
+   */
+  ProgressiveImage.prototype._createMedia = function() {
+    let media;
+    const onLoad = function() {
+      if (this.media === media) {
+        media.className = this.classNames.loaded;
+      }
+    }.bind(this);
+
+    if (this.type === 'video') {
+      media = document.createElement('video');
+      media.muted = true;
+      media.loop = true;
+      media.playsInline = true;
+      media.setAttribute('muted', '');
+      media.setAttribute('playsinline', '');
+      media.setAttribute('aria-hidden', 'true');
+      media.onloadeddata = onLoad;
+      this.video = media;
+    } else {
+      media = new Image();
+      media.alt = '';
+      media.onload = onLoad;
+    }
+
+    // The poster stays if the media fail to load.
+    media.onerror = function(event) {
+      if (this.media === media) {
+        this._removeMedia();
+        this._emit('imageerror', event, {
+          filename: this.filename,
+          size: null
+        });
+      }
+    }.bind(this);
+    media.src = this.pig.settings.urlForMedia(this.filename, this.type);
+
+    return media;
+  };
+
+  /**
+   * Stop the video or the animated image, and remove it from the figure,
+   * releasing what it had downloaded.
+   */
+  ProgressiveImage.prototype._removeMedia = function() {
+    if (!this.media) {
+      return;
+    }
+
+    const media = this.media;
+    const isVideo = media === this.video;
+    delete this.media;
+    delete this.video;
+
+    if (isVideo) {
+      media.pause();
+      media.removeAttribute('src');
+      media.load();
+    } else {
+      media.src = '';
+    }
+    if (media.parentNode) {
+      media.parentNode.removeChild(media);
+    }
+  };
+
+  /**
+   * Removes the figure from the DOM and releases the DOM element, once this
+   * image has been removed from the grid.
+   */
+  ProgressiveImage.prototype.dispose = function() {
+    this.hide();
+  };
+
+  /**
+   * Remove our event listeners from the figure, and forget about it.
+   */
+  ProgressiveImage.prototype._releaseElement = function() {
+    if (this.element && this.onClick) {
+      this.element.removeEventListener('click', this.onClick);
+    }
+
+    // The figure may be reused for the next image that is shown, unless its
+    // content can't be updated.
+    const settings = this.pig.settings;
+    if (this.element && (!settings.renderFigure || settings.updateFigure)) {
+      this.pig.figurePool.push(this.element);
+    }
+    delete this.element;
+  };
+
+  /**
+   * Get the DOM element associated with this ProgressiveImage. We default to
+   * using this.element, and we create it if it doesn't exist.
+   *
+   * @returns {HTMLElement} The DOM element associated with this instance.
+   */
+  ProgressiveImage.prototype.getElement = function() {
+    if (!this.element) {
+      const recycledElement = this.pig.figurePool.pop();
+      this._initElement(recycledElement || document.createElement(this.pig.settings.figureTagName));
+      this._renderFigure(!!recycledElement);
+      this._updateStyles();
+    }
+
+    return this.element;
+  };
+
+  /**
+   * Render the caption area and the content given by `renderFigure` into a
+   * new figure, or update them in a figure that is reused for this image.
+   *
+   * @param {boolean} isRecycled - Whether the figure was used for another
+   *                               image before.
+   */
+  ProgressiveImage.prototype._renderFigure = function(isRecycled) {
+    const settings = this.pig.settings;
+
+    if (settings.captionHeight) {
+      let caption = isRecycled ? this.element.querySelector('.' + this.classNames.caption) : null;
+      if (!caption) {
+        caption = document.createElement(settings.figureTagName === 'figure' ? 'figcaption' : 'div');
+        caption.className = this.classNames.caption;
+        caption.style.height = settings.captionHeight + 'px';
+        this.element.appendChild(caption);
+      }
+      caption.textContent = this.data.caption || '';
+    }
+
+    if (isRecycled) {
+      if (settings.updateFigure) {
+        settings.updateFigure(this.element, this.data);
+      }
+    } else if (settings.renderFigure) {
+      settings.renderFigure(this.element, this.data);
+    }
+  };
+
+  /**
+   * Insert an image into the figure, above the images that are already in it
+   * but below the video or animated image and the content of the figure.
+   * Images leave room for the caption area.
+   *
+   * @param {HTMLElement} img - The image, or the video or animated image.
+   */
+  ProgressiveImage.prototype._insertImage = function(img) {
+    const element = this.getElement();
+    let nextSibling = element.firstChild;
+    while (nextSibling && nextSibling !== this.media &&
+           (nextSibling === this.thumbnail || nextSibling === this.fullImage)) {
+      nextSibling = nextSibling.nextSibling;
+    }
+
+    if (this.pig.settings.captionHeight) {
+      img.style.height = 'calc(100% - ' + this.pig.settings.captionHeight + 'px)';
+    }
+    element.insertBefore(img, nextSibling);
+  };
+
+  /**
+   * Use `element` as the DOM element associated with this ProgressiveImage,
+   * and attach our event listeners to it.
+   *
+   * @param {HTMLElement} element - The figure element.
+   */
+  ProgressiveImage.prototype._initElement = function(element) {
+    this.element = element;
+    this.element.className = this.classNames.figure + (this.isSelected ? ' ' + this.classNames.selected : '');
+    this.element.setAttribute('role', 'listitem');
+
+    // The dominant color shows through until the images have loaded.
+    this.element.style.backgroundColor = this.data.color || '';
+
+    // Label the figure for assistive technologies, since its images may not
+    // have loaded yet. A reused figure may still have the label of another
+    // image.
+    const label = this.data.alt || this.data.caption;
+    if (label) {
+      this.element.setAttribute('aria-label', label);
+    } else {
+      this.element.removeAttribute('aria-label');
+    }
+    this.onClick = function(event) {
+      if (this.pig.settings.onClickHandler !== null) {
+        this.pig.settings.onClickHandler(this.filename);
+      }
+      if (this.pig.settings.selectionMode) {
+        this.pig._selectOnClick(this, event);
+      } else if (this.pig.settings.lightbox) {
+        this.pig.openLightbox(this.index);
+      }
+      this._emit('click', event);
+    }.bind(this);
+    this.element.addEventListener('click', this.onClick);
+  };
+
+  /**
+   * Select or deselect this image. The selection is kept on this instance,
+   * rather than on its figure, so that it survives the figure being removed
+   * from the DOM.
+   *
+   * @param {boolean} isSelected - Whether the image is selected.
+   */
+  ProgressiveImage.prototype.setSelected = function(isSelected) {
+    this.isSelected = isSelected;
+    if (this.element) {
+      this.element.classList.toggle(this.classNames.selected, isSelected);
+    }
+  };
+
+  /**
+   * Emit an event about this image on the Pig instance.
+   *
+   * @param {string} eventName - The name of the event.
+   * @param {Event} event - The DOM event that caused it, if any.
+   * @param {object} details - More properties to pass to the handlers.
+   */
+  ProgressiveImage.prototype._emit = function(eventName, event, details) {
+    const eventData = {
+      image: this,
+      index: this.index,
+      data: this.data,
+      event: event || null
+    };
+    _extend(eventData, details);
+    this.pig._emit(eventName, eventData);
+  };
+
+  /**
+   * Adopt a figure element that was rendered on the server, along with the
+   * thumbnail and full images inside of it, instead of creating a new one.
+   *
+   * @param {HTMLElement} element - The server-rendered figure element.
+   */
+  ProgressiveImage.prototype.hydrate = function(element) {
+    this._initElement(element);
+    this.existsOnPage = true;
+    this.pig.visibleImages.push(this);
+
+    [].forEach.call(element.getElementsByTagName('img'), function(img) {
+      const isThumbnail = img.className.indexOf(this.classNames.thumbnail) !== -1;
+      if (isThumbnail) {
+        this.thumbnail = img;
+      } else {
+        // We don't know the size the server chose, so we keep it.
+        this.fullImage = img;
+        this.fullImageSize = Infinity;
+      }
+
+      // Make sure the image is shown once it has loaded.
+      if (img.className.indexOf(this.classNames.loaded) === -1) {
+        const onLoad = function() {
+          if (this.thumbnail === img || this.fullImage === img) {
+            img.className += ' ' + this.classNames.loaded;
+          }
+        }.bind(this);
+
+        if (img.complete) {
+          onLoad();
+        } else {
+          img.onload = onLoad;
+        }
+      }
+    }.bind(this));
+  };
+
+
+  /**
+   * Updates the style attribute to reflect this style property on this object.
+   */
+  ProgressiveImage.prototype._updateStyles = function() {
+    this.getElement().style.transition = this.style.transition;
+    this.getElement().style.width = this.style.width + 'px';
+    this.getElement().style.height = this.style.height + 'px';
+    this.getElement().style.transform = (
+      'translate3d(' + this.style.translateX + 'px,' +
+        this.style.translateY + 'px, 0)');
+  };
+
+  /**
+   * This class manages the header of a section of the grid, which contains
+   * the images of a single group. Like a ProgressiveImage, it keeps track of
+   * its position in the grid, and its element is inserted into and removed
+   * from the DOM depending on where it is with respect to the viewport:
+   *
+   *   <div class="pig-group-header" style="transform: ...">
+   *     ...the content returned by `renderGroupHeader(group)`...
+   *   </div>
+   *
+   * @param {*} group - The group of the section.
+   * @param {object} pig - The Pig instance
+   *
+   * @returns {object} The GroupHeader instance.
+   */
+  function GroupHeader(group, pig) {
+
+    // Global State
+    this.existsOnPage = false; // True if the element exists on the page.
+
+    // Instance information
+    this.group = group;
+
+    // The Pig instance
+    this.pig = pig;
+
+    this.classNames = {
+      header: pig.settings.classPrefix + '-group-header',
+      stuck: pig.settings.classPrefix + '-group-header-stuck'
+    };
+
+    return this;
+  }
+
+  /**
+   * Insert the header into the DOM, at the given vertical position, or at the
+   * given horizontal position in the horizontal orientation.
+   *
+   * @param {Number} translateY - The translateY value at which to show the
+   *                              header. This differs from the translateY of
+   *                              its style when the header is stuck to the top
+   *                              of the viewport.
+   */
+  GroupHeader.prototype.load = function(translateY) {
+    const isHorizontal = this.pig._isHorizontal();
+    const isStuck = translateY !== this.pig._getStart(this.style);
+    const element = this.getElement();
+
+    // A stuck header follows the scroll position, so it must not animate.
+    element.style.transition = isStuck ? 'none' : this.style.transition;
+    element.style.width = this.style.width + 'px';
+    element.style.height = this.style.height + 'px';
+    element.style.transform = isHorizontal ?
+      'translate3d(' + translateY + 'px, 0, 0)' :
+      'translate3d(0,' + translateY + 'px, 0)';
+    element.className = this.classNames.header + (isStuck ? ' ' + this.classNames.stuck : '');
+
+    if (!this.existsOnPage) {
+      this.existsOnPage = true;
+      this.pig.container.appendChild(element);
+    }
+  };
+
+  /**
+   * Removes the header from the DOM.
+   */
+  GroupHeader.prototype.hide = function() {
+    if (this.existsOnPage) {
+      this.pig.container.removeChild(this.getElement());
+    }
+
+    this.existsOnPage = false;
+  };
+
+  /**
+   * Removes the header from the DOM and releases the DOM element, once its
+   * section has been removed from the grid.
+   */
+  GroupHeader.prototype.dispose = function() {
+    this.hide();
+    delete this.element;
+  };
+
+  /**
+   * Get the DOM element associated with this GroupHeader, rendering it with
+   * the `renderGroupHeader` setting if it doesn't exist yet.
+   *
+   * @returns {HTMLElement} The DOM element associated with this instance.
+   */
+  GroupHeader.prototype.getElement = function() {
+    if (!this.element) {
+      this.element = document.createElement('div');
+      this.element.className = this.classNames.header;
+
+      const content = this.pig.settings.renderGroupHeader(this.group);
+      if (typeof content === 'string') {
+        this.element.textContent = content;
+      } else if (content) {
+        this.element.appendChild(content);
+      }
+    }
+
+    return this.element;
+  };
+
+  /**
+   * This class manages the full-screen viewer that opens when an image in the
+   * grid is clicked, if the `lightbox` setting is enabled. Its element is only
+   * in the DOM while it is open, and looks like this:
+   *
+   *   <div class="pig-lightbox" role="dialog" aria-modal="true">
+   *     <div class="pig-lightbox-stage" style="...">
+   *       <img class="pig-lightbox-placeholder" src="/path/to/grid/image.jpg" />
+   *       <img class="pig-lightbox-image" src="/path/to/large/image.jpg" />
+   *     </div>
+   *     <button class="pig-lightbox-previous"></button>
+   *     <button class="pig-lightbox-next"></button>
+   *     <button class="pig-lightbox-close"></button>
+   *   </div>
+   *
+   * While the large image loads, the image that was already loaded in the
+   * grid is shown in its place, stretched to the same size. When opening and
+   * closing, the stage animates between the position of the figure in the
+   * grid and the center of the screen.
+   *
+   * @param {object} pig - The Pig instance
+   *
+   * @returns {object} The Lightbox instance.
+   */
+  function Lightbox(pig) {
+
+    // Global State
+    this.isOpen = false;
+    this.index = null;  // The index of the image being viewed.
+
+    // The Pig instance
+    this.pig = pig;
+
+    // Images for the neighbours of the current image, which we keep around
+    // so that they are cached by the time the user gets to them.
+    this.preloadedImages = [];
+
+    const prefix = pig.settings.classPrefix + '-lightbox';
+    this.classNames = {
+      lightbox: prefix,
+      open: prefix + '-open',
+      stage: prefix + '-stage',
+      placeholder: prefix + '-placeholder',
+      image: prefix + '-image',
+      previous: prefix + '-previous',
+      next: prefix + '-next',
+      close: prefix + '-close',
+      loaded: pig.settings.classPrefix + '-loaded'
+    };
+
+    return this;
+  }
+
+  /**
+   * Open the lightbox on an image, animating it from its figure in the grid.
+   *
+   * @param {Number} index - The index of the image.
+   */
+  Lightbox.prototype.open = function(index) {
+    const element = this.getElement();
+    const image = this.pig.images[index];
+
+    if (this.closeTimeout) {
+      clearTimeout(this.closeTimeout);
+      this.closeTimeout = null;
+    }
+
+    if (!this.isOpen) {
+      this.isOpen = true;
+      this.previouslyFocusedElement = document.activeElement;
+      const root = this.pig._getStyleRoot();
+      (root === document ? document.body : root).appendChild(element);
+      document.addEventListener('keydown', this.onKeyDown);
+    }
+
+    this.show(index);
+
+    // Animate from the figure to the center of the screen: start out with the
+    // stage transformed to cover the figure, and then remove the transform.
+    this.stage.style.transition = 'none';
+    this.stage.style.transform = this._getTransformToFigure(image);
+
+    // Force a reflow, so that the transform above takes effect before the
+    // transition starts.
+    this.stage.getBoundingClientRect();
+
+    this.stage.style.transition = this._getTransitionString();
+    this.stage.style.transform = 'none';
+    element.className = this.classNames.lightbox + ' ' + this.classNames.open;
+
+    this.closeButton.focus();
+    image._emit('lightboxopen');
+  };
+
+  /**
+   * Show an image in the open lightbox.
+   *
+   * @param {Number} index - The index of the image.
+   */
+  Lightbox.prototype.show = function(index) {
+    const image = this.pig.images[index];
+    this.index = index;
+
+    // Fit the stage to the screen, keeping the aspect ratio of the image.
+    const margin = 40;
+    const maxWidth = window.innerWidth - margin * 2;
+    const maxHeight = window.innerHeight - margin * 2;
+    const width = Math.min(maxWidth, maxHeight * image.aspectRatio);
+    const height = width / image.aspectRatio;
+
+    this.stage.style.width = width + 'px';
+    this.stage.style.height = height + 'px';
+    this.stage.style.left = (window.innerWidth - width) / 2 + 'px';
+    this.stage.style.top = (window.innerHeight - height) / 2 + 'px';
+
+    // Show the image that was already loaded in the grid until the large
+    // image loads.
+    this.placeholder.src = this._getLoadedGridImageSrc(image);
+    this.placeholder.alt = '';
+
+    const src = this._getImageSrc(image);
+    this.image.className = this.classNames.image;
+    this.image.alt = image.data.alt || '';
+    this.image.onload = function() {
+      if (this.image.getAttribute('src') === src) {
+        this.image.className += ' ' + this.classNames.loaded;
+      }
+    }.bind(this);
+    this.image.setAttribute('src', src);
+
+    this.previousButton.disabled = index === 0;
+    this.nextButton.disabled = index === this.pig.images.length - 1;
+
+    this._preloadNeighbours(index);
+  };
+
+  /**
+   * Show the previous image.
+   */
+  Lightbox.prototype.previous = function() {
+    if (this.isOpen && this.index > 0) {
+      this.show(this.index - 1);
+      this.pig.images[this.index]._emit('lightboxchange');
+    }
+  };
+
+  /**
+   * Show the next image.
+   */
+  Lightbox.prototype.next = function() {
+    if (this.isOpen && this.index < this.pig.images.length - 1) {
+      this.show(this.index + 1);
+      this.pig.images[this.index]._emit('lightboxchange');
+    }
+  };
+
+  /**
+   * Close the lightbox. The grid is scrolled so that the last image viewed
+   * is in view, and the stage animates back to its figure.
+   */
+  Lightbox.prototype.close = function() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    const image = this.pig.images[this.index];
+    this.isOpen = false;
+    document.removeEventListener('keydown', this.onKeyDown);
+
+    if (image) {
+      this.pig.focusImage(this.index);
+      this.stage.style.transform = this._getTransformToFigure(image);
+      image._emit('lightboxclose');
+    } else if (this.previouslyFocusedElement) {
+      this.previouslyFocusedElement.focus();
+    }
 
-    // Set the container height
-    this.container.style.height = this.totalHeight + 'px';
+    this.element.className = this.classNames.lightbox;
 
-    // Get the top and bottom buffers heights.
-    const bufferTop =
-      (this.scrollDirection === 'up') ?
-        this.settings.primaryImageBufferHeight :
-        this.settings.secondaryImageBufferHeight;
-    const bufferBottom =
-      (this.scrollDirection === 'down') ?
-        this.settings.secondaryImageBufferHeight :
-        this.settings.primaryImageBufferHeight;
+    // Remove the lightbox once it has faded out.
+    this.closeTimeout = setTimeout(function() {
+      this.closeTimeout = null;
+      this._remove();
+    }.bind(this), this.pig.settings.transitionSpeed);
+  };
 
-    // Now we compute the location of the top and bottom buffers:
-    const containerOffset = _getOffsetTop(this.container);
-    const scrollerHeight = this.scroller === window ? window.innerHeight : this.scroller.offsetHeight;
+  /**
+   * Close the lightbox immediately, and release its DOM elements.
+   */
+  Lightbox.prototype.destroy = function() {
+    if (this.closeTimeout) {
+      clearTimeout(this.closeTimeout);
+      this.closeTimeout = null;
+    }
 
-    // This is the top of the top buffer. If the bottom of an image is above
-    // this line, it will be removed.
-    const minTranslateYPlusHeight = this.latestYOffset - containerOffset - bufferTop;
+    document.removeEventListener('keydown', this.onKeyDown);
+    this.isOpen = false;
+    this._remove();
+    delete this.element;
+  };
 
-    // This is the bottom of the bottom buffer.  If the top of an image is
-    // below this line, it will be removed.
-    const maxTranslateY = this.latestYOffset - containerOffset + scrollerHeight + bufferBottom;
+  /**
+   * Removes the lightbox from the DOM, and cancels the requests for its
+   * images.
+   */
+  Lightbox.prototype._remove = function() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
 
-    // Here, we loop over every image, determine if it is inside our buffers or
-    // no, and either insert it or remove it appropriately.
-    this.images.forEach(function(image) {
+    if (this.image) {
+      this.image.removeAttribute('src');
+      this.placeholder.removeAttribute('src');
+    }
+    this.preloadedImages = [];
+  };
 
-      if (image.style.translateY + image.style.height < minTranslateYPlusHeight ||
-            image.style.translateY > maxTranslateY) {
-        // Hide Image
-        image.hide();
-      } else {
-        // Load Image
-        image.load();
-      }
+  /**
+   * Start loading the images before and after the current one, so that
+   * moving to them is instant.
+   *
+   * @param {Number} index - The index of the current image.
+   */
+  Lightbox.prototype._preloadNeighbours = function(index) {
+    this.preloadedImages = [index - 1, index + 1].filter(function(neighbourIndex) {
+      return neighbourIndex >= 0 && neighbourIndex < this.pig.images.length;
+    }.bind(this)).map(function(neighbourIndex) {
+      const preloadedImage = new Image();
+      preloadedImage.src = this._getImageSrc(this.pig.images[neighbourIndex]);
+      return preloadedImage;
     }.bind(this));
   };
 
   /**
-   * Create our onScroll handler and return it.
+   * Get the URL of the large version of an image.
    *
-   * @returns {function} Our optimized onScroll handler that we should attach to.
+   * @param {ProgressiveImage} image - The image.
+   *
+   * @returns {string} The URL of the image at the lightbox size.
    */
-  Pig.prototype._getOnScroll = function() {
-    const _this = this;
+  Lightbox.prototype._getImageSrc = function(image) {
+    const size = this.pig.settings.getLightboxImageSize(this.pig.lastWindowWidth);
+    return this.pig.settings.urlForSize(image.filename, size);
+  };
 
-    /**
-     * This function is called on scroll. It computes variables about the page
-     * position and scroll direction, and then calls a _doLayout guarded by a
-     * window.requestAnimationFrame.
-     *
-     * We use the boolean variable _this.inRAF to ensure that we don't overload
-     * the number of layouts we perform by starting another layout while we are
-     * in the middle of doing one.
-     */
-    const onScroll = function() {
-      // Compute the scroll direction using the latestYOffset and the
-      // previousYOffset
-      const newYOffset = _this.scroller === window ? window.pageYOffset : _this.scroller.scrollTop;
-      _this.previousYOffset = _this.latestYOffset || newYOffset;
-      _this.latestYOffset = newYOffset;
-      _this.scrollDirection = (_this.latestYOffset > _this.previousYOffset) ? 'down' : 'up';
+  /**
+   * Get the URL of the best version of an image that has already loaded in
+   * the grid.
+   *
+   * @param {ProgressiveImage} image - The image.
+   *
+   * @returns {string} The URL, or an empty string if nothing has loaded.
+   */
+  Lightbox.prototype._getLoadedGridImageSrc = function(image) {
+    const isLoaded = function(img) {
+      return img && img.className.indexOf(this.classNames.loaded) !== -1;
+    }.bind(this);
 
-      // Call _this.doLayout, guarded by window.requestAnimationFrame
-      if (!_this.inRAF) {
-        _this.inRAF = true;
-        window.requestAnimationFrame(function() {
-          _this._doLayout();
-          _this.inRAF = false;
-        });
-      }
-    };
+    if (isLoaded(image.fullImage)) {
+      return image.fullImage.src;
+    } else if (isLoaded(image.thumbnail)) {
+      return image.thumbnail.src;
+    }
 
-    return onScroll;
+    return '';
   };
 
   /**
-   * Enable scroll and resize handlers, and run a complete layout computation /
-   * application.
+   * Compute the transform that moves and scales the stage so that it covers
+   * the figure of an image in the grid.
    *
-   * @returns {object} The Pig instance, for easy chaining with the constructor.
+   * @param {ProgressiveImage} image - The image.
+   *
+   * @returns {string} A value for the `transform` CSS property.
    */
-  Pig.prototype.enable = function() {
-    this.onScroll = this._getOnScroll();
-
-    this.scroller.addEventListener('scroll', this.onScroll);
-
-    this.onScroll();
-    this._computeLayout();
-    this._doLayout();
+  Lightbox.prototype._getTransformToFigure = function(image) {
+    const stageLeft = parseFloat(this.stage.style.left);
+    const stageTop = parseFloat(this.stage.style.top);
+    const stageWidth = parseFloat(this.stage.style.width);
+    const stageHeight = parseFloat(this.stage.style.height);
 
-    optimizedResize.add(function() {
-      this.lastWindowWidth = this.scroller === window ? window.innerWidth : this.scroller.offsetWidth;
-      this._computeLayout();
-      this._doLayout();
-    }.bind(this));
+    // If the figure isn't on the page, we fade out in place.
+    if (!image.existsOnPage) {
+      return 'none';
+    }
 
-    return this;
+    const figureRect = image.getElement().getBoundingClientRect();
+    return (
+      'translate(' + (figureRect.left - stageLeft) + 'px,' + (figureRect.top - stageTop) + 'px) ' +
+      'scale(' + (figureRect.width / stageWidth) + ',' + (figureRect.height / stageHeight) + ')'
+    );
   };
 
   /**
-   * Remove all scroll and resize listeners.
+   * Gives the CSS property string to set for the transition of the stage.
    *
-   * @returns {object} The Pig instance.
+   * @returns {string} a value for the `transition` CSS property.
    */
-  Pig.prototype.disable = function() {
-    this.scroller.removeEventListener('scroll', this.onScroll);
-    optimizedResize.disable();
-    return this;
+  Lightbox.prototype._getTransitionString = function() {
+    return this.pig._getTransitionDuration() + ' transform var(--pig-easing, ease)';
   };
 
   /**
-   * This class manages a single image. It keeps track of the image's height,
-   * width, and position in the grid. An instance of this class is associated
-   * with a single image figure, which looks like this:
-   *
-   *   <figure class="pig-figure" style="transform: ...">
-   *     <img class="pig-thumbnail pig-loaded" src="/path/to/thumbnail/image.jpg" />
-   *     <img class="pig-loaded" src="/path/to/500px/image.jpg" />
-   *   </figure>
+   * Get the DOM element of the lightbox, creating it and attaching our event
+   * listeners if it doesn't exist.
    *
-   * However, this element may or may not actually exist in the DOM. The actual
-   * DOM element may loaded and unloaded depending on where it is with respect
-   * to the viewport. This class is responsible for managing the DOM elements,
-   * but does not include logic to determine _when_ the DOM elements should
-   * be removed.
+   * @returns {HTMLElement} The DOM element associated with this instance.
+   */
+  Lightbox.prototype.getElement = function() {
+    if (this.element) {
+      return this.element;
+    }
+
+    const createElement = function(tagName, className) {
+      const element = document.createElement(tagName);
+      element.className = className;
+      return element;
+    };
+
+    const createButton = function(className, label, onClick) {
+      const button = createElement('button', className);
+      button.type = 'button';
+      button.setAttribute('aria-label', label);
+      button.addEventListener('click', onClick);
+      return button;
+    };
+
+    this.element = createElement('div', this.classNames.lightbox);
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-modal', 'true');
+    this.element.style.setProperty('--pig-transition-duration', this.pig._getTransitionDuration());
+
+    this.stage = createElement('div', this.classNames.stage);
+    this.placeholder = createElement('img', this.classNames.placeholder);
+    this.image = createElement('img', this.classNames.image);
+    this.stage.appendChild(this.placeholder);
+    this.stage.appendChild(this.image);
+
+    this.previousButton = createButton(this.classNames.previous, 'Previous image', this.previous.bind(this));
+    this.nextButton = createButton(this.classNames.next, 'Next image', this.next.bind(this));
+    this.closeButton = createButton(this.classNames.close, 'Close', this.close.bind(this));
+
+    this.element.appendChild(this.stage);
+    this.element.appendChild(this.previousButton);
+    this.element.appendChild(this.nextButton);
+    this.element.appendChild(this.closeButton);
+
+    this.onKeyDown = function(event) {
+      if (event.key === 'ArrowLeft') {
+        this.previous();
+      } else if (event.key === 'ArrowRight') {
+        this.next();
+      } else if (event.key === 'Escape') {
+        this.close();
+      }
+    }.bind(this);
+
+    // Swiping left or right moves to the next or previous image.
+    const minSwipeDistance = 50;
+    let touchStartX = null;
+    this.element.addEventListener('touchstart', function(event) {
+      touchStartX = event.touches.length === 1 ? event.touches[0].clientX : null;
+    });
+    this.element.addEventListener('touchend', function(event) {
+      if (touchStartX === null) {
+        return;
+      }
+
+      const distance = event.changedTouches[0].clientX - touchStartX;
+      if (distance <= -minSwipeDistance) {
+        this.next();
+      } else if (distance >= minSwipeDistance) {
+        this.previous();
+      }
+      touchStartX = null;
+    }.bind(this));
+
+    return this.element;
+  };
+
+  /**
+   * This class queues the requests for the thumbnails and full images in the
+   * grid, so that no more than `maxConcurrentRequests` of them are loading at
+   * once. Whenever there is room, the most useful request is started:
+   * thumbnails before full images, and then the images closest to the
+   * viewport, preferring those in the direction that the user is scrolling.
    *
-   * This class also manages the blur-into-focus load effect.  First, the
-   * <figure> element is inserted into the page. Then, a very small thumbnail
-   * is loaded, stretched out to the full size of the image.  This pixelated
-   * image is then blurred using CSS filter: blur(). Then, the full image is
-   * loaded, with opacity:0.  Once it has loaded, it is given the `pig-loaded`
-   * class, and its opacity is set to 1.  This creates an effect where there is
-   * first a blurred version of the image, and then it appears to come into
-   * focus.
+   * Where possible, images are loaded with `fetch()`, so that requests for
+   * images that leave the buffer can be aborted, and then shown from an
+   * object URL.
    *
-   * @param {array} singleImageData - An array of metadata about each image to
-   *                                  include in the grid.
-   * @param {string} singleImageData[0].filename - The filename of the image.
-   * @param {string} singleImageData[0].aspectRatio - The aspect ratio of the
-   *                                                  image.
-   * @param {number} index - Index of the image in the list of images
    * @param {object} pig - The Pig instance
    *
-   * @returns {object}  The Pig instance, for easy chaining with the constructor.
+   * @returns {object} The ImageLoader instance.
    */
-  function ProgressiveImage(singleImageData, index, pig) {
-
-    // Global State
-    this.existsOnPage = false; // True if the element exists on the page.
-
-    // Instance information
-    this.aspectRatio = singleImageData.aspectRatio;  // Aspect Ratio
-    this.filename = singleImageData.filename;  // Filename
-    this.index = index;  // The index in the list of images
-
+  function ImageLoader(pig) {
     // The Pig instance
     this.pig = pig;
 
-    this.classNames = {
-      figure: pig.settings.classPrefix + '-figure',
-      thumbnail: pig.settings.classPrefix + '-thumbnail',
-      loaded: pig.settings.classPrefix + '-loaded'
-    };
+    // Requests waiting for room, in the order they were made, and requests
+    // that are loading.
+    this.queue = [];
+    this.inFlight = [];
+
+    // The object URLs of fetched images, by image element, which are revoked
+    // once the image element is no longer used.
+    this.objectUrls = new Map();
+
+    // Whether `_next()` is scheduled to run.
+    this.isNextScheduled = false;
 
     return this;
   }
 
   /**
-   * Load the image element associated with this ProgressiveImage into the DOM.
+   * Queue a request to load `img` from `url`, replacing any earlier request
+   * for `img`.
    *
-   * This function will append the figure into the DOM, create and insert the
-   * thumbnail, and create and insert the full image.
+   * @param {HTMLImageElement} img - The image element to load.
+   * @param {string} url - The URL to load it from.
+   * @param {ProgressiveImage} image - The image in the grid that `img` is
+   *                                   for, whose position decides how soon
+   *                                   it is loaded.
+   * @param {boolean} isThumbnail - Whether `img` is a thumbnail.
    */
-  ProgressiveImage.prototype.load = function() {
-    // Create a new image element, and insert it into the DOM. It doesn't
-    // matter the order of the figure elements, because all positioning
-    // is done using transforms.
-    this.existsOnPage = true;
-    this._updateStyles();
-    this.pig.container.appendChild(this.getElement());
-
-    // We run the rest of the function in a 100ms setTimeout so that if the
-    // user is scrolling down the page very fast and hide() is called within
-    // 100ms of load(), the hide() function will set this.existsOnPage to false
-    // and we can exit.
-    setTimeout(function() {
-
-      // The image was hidden very quickly after being loaded, so don't bother
-      // loading it at all.
-      if (!this.existsOnPage) {
-        return;
-      }
-
-      // Show thumbnail
-      if (!this.thumbnail) {
-        this.thumbnail = new Image();
-        this.thumbnail.src = this.pig.settings.urlForSize(this.filename, this.pig.settings.thumbnailSize);
-        this.thumbnail.className = this.classNames.thumbnail;
-        this.thumbnail.onload = function() {
+  ImageLoader.prototype.load = function(img, url, image, isThumbnail) {
+    this.cancel(img);
+    this.queue.push({
+      img: img,
+      url: url,
+      image: image,
+      isThumbnail: isThumbnail,
+      controller: null
+    });
 
-          // We have to make sure thumbnail still exists, we may have already been
-          // deallocated if the user scrolls too fast.
-          if (this.thumbnail) {
-            this.thumbnail.className += ' ' + this.classNames.loaded;
-          }
-        }.bind(this);
+    // Images are usually queued several at a time, for example by
+    // `_doLayout()`, so we wait until they have all been queued before
+    // choosing which one to start.
+    if (!this.isNextScheduled) {
+      this.isNextScheduled = true;
+      setTimeout(function() {
+        this.isNextScheduled = false;
+        this._next();
+      }.bind(this), 0);
+    }
+  };
 
-        this.getElement().appendChild(this.thumbnail);
+  /**
+   * Cancel the request for `img`, whether it is queued or loading, and
+   * release its object URL. This must be called once `img` is no longer
+   * used.
+   *
+   * @param {HTMLImageElement} img - The image element.
+   */
+  ImageLoader.prototype.cancel = function(img) {
+    for (let i = 0; i < this.queue.length; i++) {
+      if (this.queue[i].img === img) {
+        this.queue.splice(i, 1);
+        break;
       }
+    }
 
-      // Show full image
-      if (!this.fullImage) {
-        this.fullImage = new Image();
-        this.fullImage.src = this.pig.settings.urlForSize(this.filename, this.pig.settings.getImageSize(this.pig.lastWindowWidth));
-        this.fullImage.onload = function() {
-
-          // We have to make sure fullImage still exists, we may have already been
-          // deallocated if the user scrolls too fast.
-          if (this.fullImage) {
-            this.fullImage.className += ' ' + this.classNames.loaded;
-          }
-        }.bind(this);
-
-        this.getElement().appendChild(this.fullImage);
+    for (let i = 0; i < this.inFlight.length; i++) {
+      if (this.inFlight[i].img === img) {
+        if (this.inFlight[i].controller) {
+          this.inFlight[i].controller.abort();
+        }
+        this._finish(this.inFlight[i]);
+        break;
       }
+    }
 
-    }.bind(this), 100);
+    if (this.objectUrls.has(img)) {
+      URL.revokeObjectURL(this.objectUrls.get(img));
+      this.objectUrls.delete(img);
+    }
   };
 
   /**
-   * Removes the figure from the DOM, removes the thumbnail and full image, and
-   * deletes the this.thumbnail and this.fullImage properties off of the
-   * ProgressiveImage object.
+   * Start the most useful queued requests, while there is room.
    */
-  ProgressiveImage.prototype.hide = function() {
-    // Remove the images from the element, so that if a user is scrolling super
-    // fast, we won't try to load every image we scroll past.
-    if (this.getElement()) {
-      if (this.thumbnail) {
-        this.thumbnail.src = '';
-        this.getElement().removeChild(this.thumbnail);
-        delete this.thumbnail;
+  ImageLoader.prototype._next = function() {
+    while (this.queue.length &&
+        this.inFlight.length < this.pig.settings.maxConcurrentRequests) {
+      let best = 0;
+      for (let i = 1; i < this.queue.length; i++) {
+        if (this._compare(this.queue[i], this.queue[best]) < 0) {
+          best = i;
+        }
       }
+      this._start(this.queue.splice(best, 1)[0]);
+    }
+  };
 
-      if (this.fullImage) {
-        this.fullImage.src = '';
-        this.getElement().removeChild(this.fullImage);
-        delete this.fullImage;
-      }
+  /**
+   * Compare two requests, to find which one to start first. The queue is
+   * not kept sorted, since the order changes as the user scrolls.
+   *
+   * @param {object} a - A request.
+   * @param {object} b - Another request.
+   *
+   * @returns {Number} A negative number if `a` should be started first, and
+   *                   a positive number if `b` should.
+   */
+  ImageLoader.prototype._compare = function(a, b) {
+    if (a.isThumbnail !== b.isThumbnail) {
+      return a.isThumbnail ? -1 : 1;
     }
+    return this._getDistance(a.image) - this._getDistance(b.image);
+  };
 
-    // Remove the image from the DOM.
-    if (this.existsOnPage) {
-      this.pig.container.removeChild(this.getElement());
+  /**
+   * Get the distance from the viewport to an image in the grid. Images
+   * behind the direction of scrolling are counted as further away than every
+   * image in the primary buffer, ahead of it.
+   *
+   * @param {ProgressiveImage} image - The image.
+   *
+   * @returns {Number} The distance in pixels, or 0 if the image is in the
+   *                   viewport.
+   */
+  ImageLoader.prototype._getDistance = function(image) {
+    const top = this.pig._getStart(image.style);
+    const bottom = top + this.pig._getSize(image.style);
+
+    let distance;
+    let isAhead;
+    if (bottom < this.pig.viewportTop) {
+      distance = this.pig.viewportTop - bottom;
+      isAhead = this.pig.scrollDirection === 'up';
+    } else if (top > this.pig.viewportBottom) {
+      distance = top - this.pig.viewportBottom;
+      isAhead = this.pig.scrollDirection === 'down';
+    } else {
+      return 0;
     }
 
-    this.existsOnPage = false;
+    return isAhead ? distance : distance + this.pig.settings.primaryImageBufferHeight;
   };
 
   /**
-   * Get the DOM element associated with this ProgressiveImage. We default to
-   * using this.element, and we create it if it doesn't exist.
+   * Start loading a request.
    *
-   * @returns {HTMLElement} The DOM element associated with this instance.
+   * @param {object} request - The request.
    */
-  ProgressiveImage.prototype.getElement = function() {
-    if (!this.element) {
-      this.element = document.createElement(this.pig.settings.figureTagName);
-      this.element.className = this.classNames.figure;
-      if (this.pig.settings.onClickHandler !== null) {
-        this.element.addEventListener('click', function() {
-          this.pig.settings.onClickHandler(this.filename);
-        }.bind(this) );
-      }
-      this._updateStyles();
+  ImageLoader.prototype._start = function(request) {
+    const img = request.img;
+    this.inFlight.push(request);
+
+    // The request is done once the image has loaded, or failed to load. The
+    // listeners don't replace the `onload` and `onerror` handlers of the
+    // image.
+    request.onDone = function() {
+      this._finish(request);
+    }.bind(this);
+    img.addEventListener('load', request.onDone);
+    img.addEventListener('error', request.onDone);
+
+    const canFetch = this.pig.settings.fetchImages &&
+      typeof fetch === 'function' && typeof AbortController === 'function';
+    if (!canFetch) {
+      img.src = request.url;
+      return;
     }
 
-    return this.element;
-  };
+    request.controller = new AbortController();
+    fetch(request.url, { signal: request.controller.signal })
+      .then(function(response) {
+        if (response.ok || this.inFlight.indexOf(request) === -1) {
+          return response.blob();
+        }
 
+        // The server answered with an error, which loading the image through
+        // its `src` would only request again. The image reports the error
+        // instead, and may retry.
+        request.controller = null;
+        img.dispatchEvent(new Event('error'));
+        return null;
+      }.bind(this))
+      .then(function(blob) {
+        if (!blob || this.inFlight.indexOf(request) === -1) {
+          return;
+        }
+        request.controller = null;
+
+        const objectUrl = URL.createObjectURL(blob);
+        this.objectUrls.set(img, objectUrl);
+        img.src = objectUrl;
+      }.bind(this))
+      .catch(function() {
+        // The request was cancelled.
+        if (this.inFlight.indexOf(request) === -1) {
+          return;
+        }
+        request.controller = null;
+
+        // The request failed before the server answered, because of the
+        // network or because the image is on another origin without CORS
+        // headers. Fall back to loading the image through its `src`, which
+        // works across origins, and lets the image report the error if it is
+        // really broken.
+        img.src = request.url;
+      }.bind(this));
+  };
 
   /**
-   * Updates the style attribute to reflect this style property on this object.
+   * Stop tracking a request that is done or cancelled, and make room for
+   * the next one.
+   *
+   * @param {object} request - The request.
    */
-  ProgressiveImage.prototype._updateStyles = function() {
-    this.getElement().style.transition = this.style.transition;
-    this.getElement().style.width = this.style.width + 'px';
-    this.getElement().style.height = this.style.height + 'px';
-    this.getElement().style.transform = (
-      'translate3d(' + this.style.translateX + 'px,' +
-        this.style.translateY + 'px, 0)');
+  ImageLoader.prototype._finish = function(request) {
+    const index = this.inFlight.indexOf(request);
+    if (index === -1) {
+      return;
+    }
+
+    this.inFlight.splice(index, 1);
+    request.img.removeEventListener('load', request.onDone);
+    request.img.removeEventListener('error', request.onDone);
+    this._next();
   };
 
   // Export Pig into the global scope.